@@ -0,0 +1,4 @@
+-- Lineage: refinements can spawn descendant memes
+ALTER TABLE memes ADD COLUMN parent_id INTEGER REFERENCES memes(id);
+ALTER TABLE interactions ADD COLUMN spawned_meme_id INTEGER REFERENCES memes(id);
+CREATE INDEX IF NOT EXISTS idx_memes_parent_id ON memes(parent_id);
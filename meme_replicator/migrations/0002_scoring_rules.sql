@@ -0,0 +1,6 @@
+-- Scoring rules: rows here override the SCORE_* vars and built-in defaults
+CREATE TABLE IF NOT EXISTS scoring_rules (
+  name TEXT PRIMARY KEY CHECK(name IN ('base', 'refute', 'refine', 'praise')),
+  value INTEGER NOT NULL,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
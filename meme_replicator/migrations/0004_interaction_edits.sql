@@ -0,0 +1,34 @@
+-- Withdrawn and edited interactions
+ALTER TABLE interactions ADD COLUMN retracted_at DATETIME;
+ALTER TABLE interactions ADD COLUMN updated_at DATETIME;
+
+-- Every edit or withdrawal of an interaction, with the values it replaced
+CREATE TABLE IF NOT EXISTS interaction_edits (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  interaction_id INTEGER NOT NULL REFERENCES interactions(id),
+  user_id INTEGER REFERENCES users(id),
+  action TEXT NOT NULL CHECK(action IN ('edit', 'retract')),
+  previous_type TEXT,
+  previous_comment TEXT,
+  new_type TEXT,
+  new_comment TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_interaction_edits_interaction ON interaction_edits(interaction_id);
+
+-- Duplicates left by racing requests: keep the earliest interaction of each type per user per meme
+-- and withdraw the rest, logging each withdrawal. Anonymous legacy rows (no user_id) are left alone.
+-- Stored scores still include the duplicates; POST /api/admin/recompute-scores rebuilds them.
+INSERT INTO interaction_edits (interaction_id, user_id, action, previous_type, previous_comment, created_at)
+SELECT i.id, i.user_id, 'retract', i.type, i.comment, datetime('now')
+FROM interactions i
+WHERE i.user_id IS NOT NULL
+  AND i.id > (SELECT MIN(d.id) FROM interactions d WHERE d.meme_id = i.meme_id AND d.user_id = i.user_id AND d.type = i.type);
+
+UPDATE interactions SET retracted_at = datetime('now')
+WHERE user_id IS NOT NULL
+  AND id > (SELECT MIN(d.id) FROM interactions d
+    WHERE d.meme_id = interactions.meme_id AND d.user_id = interactions.user_id AND d.type = interactions.type);
+
+-- One active interaction of each type per user per meme
+CREATE UNIQUE INDEX IF NOT EXISTS idx_interactions_unique_active ON interactions(meme_id, user_id, type) WHERE retracted_at IS NULL;
@@ -0,0 +1,17 @@
+-- Versioned meme content: memes.content is always the latest entry in meme_versions
+ALTER TABLE memes ADD COLUMN version INTEGER DEFAULT 1;
+ALTER TABLE memes ADD COLUMN updated_at DATETIME;
+ALTER TABLE interactions ADD COLUMN meme_version INTEGER DEFAULT 1;
+
+CREATE TABLE IF NOT EXISTS meme_versions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  meme_id INTEGER NOT NULL REFERENCES memes(id),
+  version INTEGER NOT NULL,
+  content TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(meme_id, version)
+);
+
+-- Backfill version 1 for memes created before versioning
+INSERT OR IGNORE INTO meme_versions (meme_id, version, content, created_at)
+SELECT id, 1, content, created_at FROM memes;
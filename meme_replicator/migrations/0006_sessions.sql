@@ -0,0 +1,11 @@
+-- Server-side sessions; the session cookie carries a signed reference to a row here
+CREATE TABLE IF NOT EXISTS sessions (
+  id TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  user_agent TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at DATETIME,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME
+);
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
@@ -0,0 +1,9 @@
+-- Fixed-window request counters for rate limiting, one row per bucket per window
+CREATE TABLE IF NOT EXISTS rate_limits (
+  bucket TEXT NOT NULL,
+  window_start INTEGER NOT NULL,
+  count INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (bucket, window_start)
+);
+-- Expired windows are purged across all buckets by age
+CREATE INDEX IF NOT EXISTS idx_rate_limits_window_start ON rate_limits(window_start);
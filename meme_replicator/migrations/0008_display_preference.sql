@@ -0,0 +1,5 @@
+-- Whether the public sees a user's display name or their @handle
+ALTER TABLE users ADD COLUMN display_preference TEXT DEFAULT 'handle';
+
+-- memes.author used to fall back to the author's email; keep only handles and plain names
+UPDATE memes SET author = 'Anonymous' WHERE instr(author, '@') > 1;
@@ -0,0 +1,17 @@
+-- Roles and moderation: member < moderator < admin (ADMIN_EMAILS still bootstraps admins)
+ALTER TABLE users ADD COLUMN role TEXT DEFAULT 'member';
+ALTER TABLE users ADD COLUMN suspended_at DATETIME;
+ALTER TABLE users ADD COLUMN suspended_reason TEXT;
+ALTER TABLE memes ADD COLUMN hidden_at DATETIME;
+ALTER TABLE interactions ADD COLUMN hidden_at DATETIME;
+
+CREATE TABLE IF NOT EXISTS moderation_actions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  moderator_id INTEGER REFERENCES users(id),
+  action TEXT NOT NULL,
+  target_type TEXT NOT NULL,
+  target_id INTEGER NOT NULL,
+  reason TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_moderation_actions_target ON moderation_actions(target_type, target_id);
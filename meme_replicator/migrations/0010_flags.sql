@@ -0,0 +1,15 @@
+-- Community flags on memes and interaction comments; open until a moderator approves or removes
+CREATE TABLE IF NOT EXISTS flags (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  target_type TEXT NOT NULL,
+  target_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  reason TEXT NOT NULL,
+  note TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  resolved_at DATETIME,
+  resolution TEXT,
+  resolved_by INTEGER REFERENCES users(id),
+  UNIQUE(target_type, target_id, user_id)
+);
+CREATE INDEX IF NOT EXISTS idx_flags_open ON flags(target_type, target_id) WHERE resolved_at IS NULL;
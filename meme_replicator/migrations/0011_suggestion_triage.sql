@@ -0,0 +1,15 @@
+-- Suggestion triage: status, tags (JSON array) and a public reply from the team
+ALTER TABLE suggestions ADD COLUMN status TEXT NOT NULL DEFAULT 'new';
+ALTER TABLE suggestions ADD COLUMN tags TEXT NOT NULL DEFAULT '[]';
+ALTER TABLE suggestions ADD COLUMN reply TEXT;
+ALTER TABLE suggestions ADD COLUMN replied_at DATETIME;
+ALTER TABLE suggestions ADD COLUMN updated_at DATETIME;
+CREATE INDEX IF NOT EXISTS idx_suggestions_status ON suggestions(status);
+
+-- One roadmap upvote per member per suggestion
+CREATE TABLE IF NOT EXISTS suggestion_votes (
+  suggestion_id INTEGER NOT NULL REFERENCES suggestions(id),
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (suggestion_id, user_id)
+);
@@ -0,0 +1,29 @@
+-- Full-text search over meme content and interaction comments. Both are external-content FTS5
+-- tables kept in sync by triggers; the final 'rebuild' backfills rows that predate the index.
+CREATE VIRTUAL TABLE IF NOT EXISTS memes_fts USING fts5(content, content='memes', content_rowid='id', tokenize='porter unicode61');
+CREATE VIRTUAL TABLE IF NOT EXISTS interactions_fts USING fts5(comment, content='interactions', content_rowid='id', tokenize='porter unicode61');
+
+CREATE TRIGGER IF NOT EXISTS memes_fts_insert AFTER INSERT ON memes BEGIN
+  INSERT INTO memes_fts(rowid, content) VALUES (new.id, new.content);
+END;
+CREATE TRIGGER IF NOT EXISTS memes_fts_delete AFTER DELETE ON memes BEGIN
+  INSERT INTO memes_fts(memes_fts, rowid, content) VALUES ('delete', old.id, old.content);
+END;
+CREATE TRIGGER IF NOT EXISTS memes_fts_update AFTER UPDATE OF content ON memes BEGIN
+  INSERT INTO memes_fts(memes_fts, rowid, content) VALUES ('delete', old.id, old.content);
+  INSERT INTO memes_fts(rowid, content) VALUES (new.id, new.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS interactions_fts_insert AFTER INSERT ON interactions BEGIN
+  INSERT INTO interactions_fts(rowid, comment) VALUES (new.id, new.comment);
+END;
+CREATE TRIGGER IF NOT EXISTS interactions_fts_delete AFTER DELETE ON interactions BEGIN
+  INSERT INTO interactions_fts(interactions_fts, rowid, comment) VALUES ('delete', old.id, old.comment);
+END;
+CREATE TRIGGER IF NOT EXISTS interactions_fts_update AFTER UPDATE OF comment ON interactions BEGIN
+  INSERT INTO interactions_fts(interactions_fts, rowid, comment) VALUES ('delete', old.id, old.comment);
+  INSERT INTO interactions_fts(rowid, comment) VALUES (new.id, new.comment);
+END;
+
+INSERT INTO memes_fts(memes_fts) VALUES ('rebuild');
+INSERT INTO interactions_fts(interactions_fts) VALUES ('rebuild');
@@ -0,0 +1,6 @@
+-- Merged duplicates: the loser stays as a hidden tombstone pointing at the surviving meme,
+-- and moved interactions remember which meme they were made on
+ALTER TABLE memes ADD COLUMN merged_into INTEGER REFERENCES memes(id);
+ALTER TABLE memes ADD COLUMN merged_at DATETIME;
+ALTER TABLE interactions ADD COLUMN merged_from INTEGER REFERENCES memes(id);
+CREATE INDEX IF NOT EXISTS idx_memes_merged_into ON memes(merged_into);
@@ -0,0 +1,14 @@
+-- Topic tags, many-to-many with memes
+CREATE TABLE IF NOT EXISTS tags (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS meme_tags (
+  meme_id INTEGER NOT NULL REFERENCES memes(id),
+  tag_id INTEGER NOT NULL REFERENCES tags(id),
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (meme_id, tag_id)
+);
+CREATE INDEX IF NOT EXISTS idx_meme_tags_tag ON meme_tags(tag_id);
@@ -0,0 +1,35 @@
+-- Meme pools: separate communities, each with its own visibility, members and scoring rules.
+-- Everything that existed before pools lives in the default "main" pool (id 1).
+CREATE TABLE IF NOT EXISTS pools (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  slug TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  description TEXT,
+  visibility TEXT NOT NULL DEFAULT 'public' CHECK (visibility IN ('public', 'unlisted', 'members_only')),
+  created_by INTEGER REFERENCES users(id),
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+INSERT INTO pools (id, slug, name, description, visibility)
+VALUES (1, 'main', 'Meme Pool', 'The original pool, open to everyone', 'public')
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE memes ADD COLUMN pool_id INTEGER NOT NULL DEFAULT 1;
+CREATE INDEX IF NOT EXISTS idx_memes_pool ON memes(pool_id);
+
+CREATE TABLE IF NOT EXISTS pool_members (
+  pool_id INTEGER NOT NULL REFERENCES pools(id),
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  role TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('member', 'owner')),
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (pool_id, user_id)
+);
+CREATE INDEX IF NOT EXISTS idx_pool_members_user ON pool_members(user_id);
+
+-- Per-pool overrides layered on top of scoring_rules
+CREATE TABLE IF NOT EXISTS pool_scoring_rules (
+  pool_id INTEGER NOT NULL REFERENCES pools(id),
+  name TEXT NOT NULL,
+  value INTEGER NOT NULL,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (pool_id, name)
+);
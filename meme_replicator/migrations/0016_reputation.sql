@@ -0,0 +1,7 @@
+-- Reputation: each interaction carries its author's weight at the time it was made,
+-- and moves fitness by ROUND(rule * weight); everything made before weights counts in full
+ALTER TABLE interactions ADD COLUMN weight REAL NOT NULL DEFAULT 1;
+
+-- getReputation looks everything up by author
+CREATE INDEX IF NOT EXISTS idx_interactions_user ON interactions(user_id, type);
+CREATE INDEX IF NOT EXISTS idx_memes_user ON memes(user_id);
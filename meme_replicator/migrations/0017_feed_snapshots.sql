@@ -0,0 +1,22 @@
+-- Pinned meme rankings that later pages of a feed read from, so paging never repeats or skips a meme
+CREATE TABLE IF NOT EXISTS feed_snapshots (
+  id TEXT PRIMARY KEY,
+  pool_id INTEGER NOT NULL,
+  sort TEXT NOT NULL,
+  tag TEXT,
+  ranked_at TEXT NOT NULL,
+  meme_count INTEGER NOT NULL,
+  last_meme_id INTEGER,
+  last_sort_key,
+  created_at INTEGER NOT NULL
+);
+-- Expired snapshots are purged by age
+CREATE INDEX IF NOT EXISTS idx_feed_snapshots_created_at ON feed_snapshots(created_at);
+
+CREATE TABLE IF NOT EXISTS feed_snapshot_memes (
+  snapshot_id TEXT NOT NULL,
+  position INTEGER NOT NULL,
+  meme_id INTEGER NOT NULL,
+  sort_key,
+  PRIMARY KEY (snapshot_id, position)
+);
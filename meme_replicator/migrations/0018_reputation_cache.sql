@@ -0,0 +1,3 @@
+-- Interaction weights are cached per user for a few minutes instead of being recomputed on every interaction
+ALTER TABLE users ADD COLUMN reputation_weight REAL;
+ALTER TABLE users ADD COLUMN reputation_computed_at DATETIME;
@@ -1,3 +1,5 @@
+-- Original auth tables for an empty database, run after schema.sql. Later changes are in migrations/.
+
 -- User management
 CREATE TABLE IF NOT EXISTS users (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -34,8 +36,5 @@ ALTER TABLE memes ADD COLUMN user_id INTEGER REFERENCES users(id);
 -- Note: This will fail if column already exists, which is fine
 ALTER TABLE interactions ADD COLUMN user_id INTEGER REFERENCES users(id);
 
--- Add username column for existing installations (fails safely if it already exists)
-ALTER TABLE users ADD COLUMN username TEXT;
-
 -- Ensure usernames are unique once populated
-CREATE UNIQUE INDEX IF NOT EXISTS idx_users_username ON users(username);
\ No newline at end of file
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_username ON users(username);
@@ -1,3 +1,5 @@
+-- Original tables for an empty database. Later changes are in migrations/; see the README.
+
 CREATE TABLE memes (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   content TEXT NOT NULL,
@@ -18,4 +20,4 @@ CREATE TABLE interactions (
 INSERT INTO memes (content, author, score) VALUES 
 ('The best way to predict the future is to invent it.', 'Alan Kay', 95),
 ('All problems in computer science can be solved by another level of indirection.', 'David Wheeler', 87),
-('The fundamental cause of trouble is that in the modern world the stupid are cocksure while the intelligent are full of doubt.', 'Bertrand Russell', 112);
\ No newline at end of file
+('The fundamental cause of trouble is that in the modern world the stupid are cocksure while the intelligent are full of doubt.', 'Bertrand Russell', 112);
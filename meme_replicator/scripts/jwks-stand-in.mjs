@@ -0,0 +1,83 @@
+// Local stand-in for the Auth0 JWKS endpoint, for exercising ID token verification without a tenant.
+//
+//   AUTH0_DOMAIN=dev-xxx.us.auth0.com AUTH0_CLIENT_ID=abc node scripts/jwks-stand-in.mjs
+//
+// GET /.well-known/jwks.json  the public keys the worker should trust (point AUTH0_JWKS_URL here)
+// GET /token?email=...        an ID token signed with the current key; add &expired=1 or &aud=other for bad ones
+// POST /rotate                publish a new signing key alongside the old one, like an Auth0 rotation
+import { createServer } from 'node:http';
+
+const port = Number(process.env.PORT || 8788);
+const domain = process.env.AUTH0_DOMAIN;
+const clientId = process.env.AUTH0_CLIENT_ID;
+
+if (!domain || !clientId) {
+  console.error('AUTH0_DOMAIN and AUTH0_CLIENT_ID must match the values the worker runs with');
+  process.exit(1);
+}
+
+const keys = [];
+
+async function addKey() {
+  const pair = await crypto.subtle.generateKey(
+    { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+    true,
+    ['sign', 'verify']
+  );
+  const kid = `stand-in-${keys.length + 1}`;
+  const jwk = await crypto.subtle.exportKey('jwk', pair.publicKey);
+  keys.push({ kid, privateKey: pair.privateKey, jwk: { kty: jwk.kty, n: jwk.n, e: jwk.e, alg: 'RS256', use: 'sig', kid } });
+}
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+async function signIdToken(params) {
+  const key = keys[keys.length - 1];
+  const now = Math.floor(Date.now() / 1000);
+  const email = params.get('email') || 'someone@example.com';
+  const claims = {
+    iss: `https://${domain}/`,
+    aud: params.get('aud') || clientId,
+    sub: `email|${email}`,
+    email,
+    name: params.get('name') || email,
+    iat: now,
+    exp: params.get('expired') ? now - 3600 : now + 3600
+  };
+
+  const signingInput = `${encodeSegment({ alg: 'RS256', typ: 'JWT', kid: key.kid })}.${encodeSegment(claims)}`;
+  const signature = await crypto.subtle.sign('RSASSA-PKCS1-v1_5', key.privateKey, new TextEncoder().encode(signingInput));
+  return `${signingInput}.${Buffer.from(signature).toString('base64url')}`;
+}
+
+await addKey();
+
+createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+
+  if (req.method === 'GET' && url.pathname === '/.well-known/jwks.json') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ keys: keys.map(key => key.jwk) }));
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/token') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ id_token: await signIdToken(url.searchParams) }));
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/rotate') {
+    await addKey();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ kid: keys[keys.length - 1].kid }));
+    return;
+  }
+
+  res.writeHead(404);
+  res.end();
+}).listen(port, () => {
+  console.log(`JWKS stand-in on http://localhost:${port}/.well-known/jwks.json`);
+});
@@ -10,15 +10,46 @@ export default {
     
     // Serve the HTML page for root
     if (path === '/' || path === '') {
-      return new Response(getHTML(), {
-        headers: { 'Content-Type': 'text/html' }
-      });
+      return handlePoolPage(request, env, DEFAULT_POOL_SLUG);
+    }
+
+    const poolPageMatch = path.match(/^\/p\/([a-z0-9-]+)$/);
+    if (poolPageMatch) {
+      return handlePoolPage(request, env, poolPageMatch[1]);
     }
     
     // Handle Auth0 callback
     if (path === '/auth/callback') {
       return handleAuth0Callback(request, env);
     }
+
+    // Full-page login errors for flows that started in the page's own script
+    if (path === '/auth/error') {
+      const message = AUTH_ERROR_MESSAGES[url.searchParams.get('reason')] || AUTH_ERROR_MESSAGES.default;
+      return authErrorResponse(message, 401);
+    }
+
+    if (path === '/admin') {
+      const nonce = bytesToBase64Url(crypto.getRandomValues(new Uint8Array(16)));
+      return withCsrfCookie(request, htmlResponse(getAdminHTML(nonce), { nonce }));
+    }
+
+    if (path === '/roadmap') {
+      const nonce = bytesToBase64Url(crypto.getRandomValues(new Uint8Array(16)));
+      return withCsrfCookie(request, htmlResponse(getRoadmapHTML(nonce), { nonce }));
+    }
+
+    // Public contributor profiles
+    const userPageMatch = path.match(/^\/u\/([a-z0-9-]+)$/);
+    if (userPageMatch) {
+      return handleUserPage(request, env, userPageMatch[1]);
+    }
+
+    // Shareable meme permalinks
+    const permalinkMatch = path.match(/^\/m\/(\d+)$/);
+    if (permalinkMatch) {
+      return handleMemePage(request, env, Number(permalinkMatch[1]));
+    }
     
     // 404 for other routes
     return new Response('Not Found', { status: 404 });
@@ -31,7 +62,7 @@ async function handleAuth0Callback(request, env) {
     const code = url.searchParams.get('code');
     
     if (!code) {
-      return new Response('Missing authorization code', { status: 400 });
+      return authErrorResponse('Missing authorization code.', 400);
     }
     
     // Exchange code for token
@@ -49,11 +80,20 @@ async function handleAuth0Callback(request, env) {
     
     if (!tokenResponse.ok) {
       console.error('Token exchange failed:', await tokenResponse.text());
-      return new Response('Authentication failed', { status: 401 });
+      return authErrorResponse('Authentication failed. Please try logging in again.', 401);
     }
     
     const tokenData = await tokenResponse.json();
     const accessToken = tokenData.access_token;
+
+    if (tokenData.id_token) {
+      try {
+        await verifyIdToken(tokenData.id_token, env);
+      } catch (error) {
+        console.error('ID token rejected:', error.message);
+        return authErrorResponse(AUTH_ERROR_MESSAGES.id_token, 401);
+      }
+    }
     
     // Get user info from Auth0
     const userResponse = await fetch(`https://${env.AUTH0_DOMAIN}/userinfo`, {
@@ -61,12 +101,12 @@ async function handleAuth0Callback(request, env) {
     });
     
     if (!userResponse.ok) {
-      return new Response('Failed to get user info', { status: 401 });
+      return authErrorResponse('Failed to get user info.', 401);
     }
     
     const auth0User = await userResponse.json();
     const user = await upsertAuth0User(auth0User, env);
-    const sessionDetails = buildSessionCookie(user, auth0User);
+    const sessionDetails = await createSession(user, request, env);
     
     return new Response(null, {
       status: 302,
@@ -78,27 +118,53 @@ async function handleAuth0Callback(request, env) {
     
   } catch (error) {
     console.error('Auth0 callback error:', error);
-    return new Response('Authentication error: ' + error.message, { status: 500 });
+    return authErrorResponse('Authentication error: ' + error.message, 500);
   }
 }
 
+// Only these fixed messages can be shown on /auth/error, so the query string can't put text on the page
+const AUTH_ERROR_MESSAGES = {
+  default: 'Authentication failed. Please try logging in again.',
+  id_token: 'Your login token could not be verified. Please try logging in again.'
+};
+
+function authErrorResponse(message, status) {
+  return htmlResponse(getAuthErrorHTML(message), { status });
+}
+
 async function getUserFromRequest(request, env) {
   try {
-    const cookies = request.headers.get('Cookie') || '';
-    const sessionMatch = cookies.match(/session=([^;]+)/);
+    const sessionToken = getCookie(request, 'session');
     
-    if (!sessionMatch) return null;
+    if (!sessionToken) return null;
     
-    const sessionData = JSON.parse(atob(sessionMatch[1]));
+    // Unsigned, forged, or legacy base64-only cookies fail here and the caller is treated as logged out
+    const sessionData = await verifySessionToken(sessionToken, env);
+    
+    if (!sessionData || typeof sessionData.sid !== 'string') return null;
     
     // Check if session is expired
-    if (sessionData.exp < Date.now()) return null;
+    if (typeof sessionData.exp !== 'number' || sessionData.exp < Date.now()) return null;
+    
+    // The session row is the source of truth: revoked or expired sessions end here
+    const session = await env.DB.prepare(`
+      SELECT id, user_id, last_seen_at FROM sessions
+      WHERE id = ? AND revoked_at IS NULL AND expires_at > datetime('now')
+    `).bind(sessionData.sid).first();
+
+    if (!session) return null;
     
     // Verify user still exists
-    const user = await env.DB.prepare('SELECT * FROM users WHERE id = ?').bind(sessionData.userId).first();
+    const user = await env.DB.prepare('SELECT * FROM users WHERE id = ?').bind(session.user_id).first();
 
     if (!user) return null;
 
+    if (!session.last_seen_at || Date.parse(session.last_seen_at + 'Z') < Date.now() - SESSION_TOUCH_INTERVAL_MS) {
+      await env.DB.prepare(`UPDATE sessions SET last_seen_at = datetime('now') WHERE id = ?`)
+        .bind(session.id)
+        .run();
+    }
+
     if (!user.username) {
       const username = await generateUsername(env);
       await env.DB.prepare('UPDATE users SET username = ? WHERE id = ?')
@@ -107,7 +173,7 @@ async function getUserFromRequest(request, env) {
       user.username = username;
     }
 
-    user.sessionData = sessionData;
+    user.sessionId = session.id;
     return user;
   } catch (error) {
     return null;
@@ -116,14 +182,16 @@ async function getUserFromRequest(request, env) {
 
 async function handleAPI(request, env, path) {
   const origin = request.headers.get('Origin');
-  const siteOrigin = env.SITE_URL ? env.SITE_URL.replace(/\/$/, '') : undefined;
-  const allowedOrigin = origin && origin !== 'null' ? origin : siteOrigin || '*';
+  const allowedOrigins = getAllowedOrigins(env);
+  // Same-origin requests are always fine, which keeps preview deployments working without config
+  const originAllowed = Boolean(origin) && (allowedOrigins.includes(origin) || origin === new URL(request.url).origin);
 
   const corsHeaders = {
-    'Access-Control-Allow-Origin': allowedOrigin,
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Origin': originAllowed ? origin : allowedOrigins[0] || 'null',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Idempotency-Key, X-CSRF-Token',
     'Access-Control-Allow-Credentials': 'true',
+    'Vary': 'Origin',
     'Content-Type': 'application/json'
   };
   
@@ -131,14 +199,28 @@ async function handleAPI(request, env, path) {
   if (request.method === 'OPTIONS') {
     return new Response(null, { headers: corsHeaders });
   }
+
+  if (!SAFE_METHODS.includes(request.method)) {
+    const csrfFailure = checkCsrf(request, origin, originAllowed);
+    if (csrfFailure) {
+      return new Response(JSON.stringify({ error: 'Request blocked by CSRF protection', code: csrfFailure }), {
+        status: 403,
+        headers: corsHeaders
+      });
+    }
+  }
   
   try {
     // Auth endpoints
     if (path === '/api/auth/login' && request.method === 'POST') {
+      const limited = await enforceRateLimit(request, env, 'login', { email: await peekRequestEmail(request) }, corsHeaders);
+      if (limited) return limited;
       return handleLogin(request, env, corsHeaders);
     }
 
     if (path === '/api/auth/verify' && request.method === 'POST') {
+      const limited = await enforceRateLimit(request, env, 'verify', { email: await peekRequestEmail(request) }, corsHeaders);
+      if (limited) return limited;
       return handleCodeVerification(request, env, corsHeaders);
     }
     
@@ -146,29 +228,42 @@ async function handleAPI(request, env, path) {
       const user = await getUserFromRequest(request, env);
       const headers = { ...corsHeaders };
 
-      if (user && (!user.sessionData?.username || user.sessionData.username !== user.username)) {
-        const sessionDetails = buildSessionCookie(user);
-        headers['Set-Cookie'] = sessionDetails.header;
-      }
-
-      if (user && user.sessionData) {
-        delete user.sessionData;
+      if (!user && getCookie(request, 'session')) {
+        // Drop a cookie we no longer accept so the browser falls back to the login flow cleanly
+        headers['Set-Cookie'] = CLEAR_SESSION_COOKIE;
       }
 
-      return new Response(JSON.stringify({ user }), { headers });
+      return new Response(JSON.stringify({ user: user ? { id: user.id, ...ownProfile(user, env) } : null }), { headers });
     }
     
     if (path === '/api/auth/logout' && request.method === 'POST') {
+      const sessionToken = getCookie(request, 'session');
+      const sessionData = sessionToken ? await verifySessionToken(sessionToken, env) : null;
+
+      if (sessionData && typeof sessionData.sid === 'string') {
+        await env.DB.prepare(`UPDATE sessions SET revoked_at = datetime('now') WHERE id = ? AND revoked_at IS NULL`)
+          .bind(sessionData.sid)
+          .run();
+      }
+
       return new Response(JSON.stringify({ success: true }), {
         headers: {
           ...corsHeaders,
-          'Set-Cookie': 'session=; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=0'
+          'Set-Cookie': CLEAR_SESSION_COOKIE
         }
       });
     }
     
     // Get current user for protected endpoints
     const currentUser = await getUserFromRequest(request, env);
+
+    // Suspended accounts can still read and manage their sessions, but can't change anything else
+    if (currentUser && currentUser.suspended_at && !SAFE_METHODS.includes(request.method) && !path.startsWith('/api/sessions')) {
+      return new Response(JSON.stringify({ error: 'Your account is suspended', code: 'account_suspended' }), {
+        status: 403,
+        headers: corsHeaders
+      });
+    }
     
     if (path === '/api/profile' && request.method === 'GET') {
       if (!currentUser) {
@@ -178,13 +273,7 @@ async function handleAPI(request, env, path) {
         });
       }
 
-      const profile = {
-        email: currentUser.email,
-        username: currentUser.username,
-        name: currentUser.name
-      };
-
-      return new Response(JSON.stringify({ profile }), { headers: corsHeaders });
+      return new Response(JSON.stringify({ profile: ownProfile(currentUser, env) }), { headers: corsHeaders });
     }
 
     if (path === '/api/profile' && request.method === 'PUT') {
@@ -196,496 +285,4232 @@ async function handleAPI(request, env, path) {
       }
 
       const body = await request.json();
-      const rawUsername = typeof body.username === 'string' ? body.username.trim() : '';
+      const updates = {};
 
-      if (!rawUsername) {
-        return new Response(JSON.stringify({ error: 'Username is required' }), {
-          status: 400,
-          headers: corsHeaders
-        });
+      if (body.username !== undefined) {
+        const rawUsername = typeof body.username === 'string' ? body.username.trim() : '';
+
+        if (!rawUsername) {
+          return new Response(JSON.stringify({ error: 'Username is required' }), {
+            status: 400,
+            headers: corsHeaders
+          });
+        }
+
+        const normalized = rawUsername.toLowerCase();
+        const pattern = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+        if (normalized.length < 3 || normalized.length > 32 || !pattern.test(normalized)) {
+          return new Response(JSON.stringify({ error: 'Username must be 3-32 characters, lowercase letters, numbers, and single hyphens only' }), {
+            status: 400,
+            headers: corsHeaders
+          });
+        }
+
+        if (currentUser.username !== normalized) {
+          const existing = await env.DB.prepare('SELECT id FROM users WHERE username = ?').bind(normalized).first();
+
+          if (existing && existing.id !== currentUser.id) {
+            return new Response(JSON.stringify({ error: 'Username already taken' }), {
+              status: 409,
+              headers: corsHeaders
+            });
+          }
+
+          updates.username = normalized;
+        }
       }
 
-      const normalized = rawUsername.toLowerCase();
-      const pattern = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+      if (body.name !== undefined) {
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
 
-      if (normalized.length < 3 || normalized.length > 32 || !pattern.test(normalized)) {
-        return new Response(JSON.stringify({ error: 'Username must be 3-32 characters, lowercase letters, numbers, and single hyphens only' }), {
-          status: 400,
-          headers: corsHeaders
-        });
+        // Display names are public, so keep addresses out of them
+        if (!name || name.length > 50 || name.includes('@')) {
+          return new Response(JSON.stringify({ error: 'Display name must be 1-50 characters and cannot contain @' }), {
+            status: 400,
+            headers: corsHeaders
+          });
+        }
+
+        updates.name = name;
       }
 
-      if (currentUser.username === normalized) {
-        const sessionDetails = buildSessionCookie(currentUser);
-        return new Response(JSON.stringify({ profile: {
-          email: currentUser.email,
-          username: currentUser.username,
-          name: currentUser.name
-        } }), {
-          headers: {
-            ...corsHeaders,
-            'Set-Cookie': sessionDetails.header
-          }
-        });
+      if (body.display_preference !== undefined) {
+        if (!DISPLAY_PREFERENCES.includes(body.display_preference)) {
+          return new Response(JSON.stringify({ error: 'display_preference must be one of: ' + DISPLAY_PREFERENCES.join(', ') }), {
+            status: 400,
+            headers: corsHeaders
+          });
+        }
+
+        updates.display_preference = body.display_preference;
+      }
+
+      const columns = Object.keys(updates);
+
+      if (columns.length > 0) {
+        await env.DB.prepare(`UPDATE users SET ${columns.map(column => column + ' = ?').join(', ')} WHERE id = ?`)
+          .bind(...columns.map(column => updates[column]), currentUser.id)
+          .run();
       }
 
-      const existing = await env.DB.prepare('SELECT id FROM users WHERE username = ?').bind(normalized).first();
+      return new Response(JSON.stringify({ profile: ownProfile({ ...currentUser, ...updates }, env) }), { headers: corsHeaders });
+    }
 
-      if (existing && existing.id !== currentUser.id) {
-        return new Response(JSON.stringify({ error: 'Username already taken' }), {
-          status: 409,
+    if (path === '/api/sessions' && request.method === 'GET') {
+      if (!currentUser) {
+        return new Response(JSON.stringify({ error: 'Authentication required' }), {
+          status: 401,
           headers: corsHeaders
         });
       }
 
-      await env.DB.prepare('UPDATE users SET username = ? WHERE id = ?')
-        .bind(normalized, currentUser.id)
-        .run();
+      const sessions = await env.DB.prepare(`
+        SELECT id, user_agent, created_at, last_seen_at, expires_at
+        FROM sessions
+        WHERE user_id = ? AND revoked_at IS NULL AND expires_at > datetime('now')
+        ORDER BY COALESCE(last_seen_at, created_at) DESC
+      `).bind(currentUser.id).all();
+
+      const list = (sessions.results || []).map(session => ({
+        ...session,
+        current: session.id === currentUser.sessionId
+      }));
+
+      return new Response(JSON.stringify({ sessions: list }), { headers: corsHeaders });
+    }
+
+    if (path === '/api/sessions' && request.method === 'DELETE') {
+      if (!currentUser) {
+        return new Response(JSON.stringify({ error: 'Authentication required' }), {
+          status: 401,
+          headers: corsHeaders
+        });
+      }
 
-      const updatedUser = { ...currentUser, username: normalized };
-      const sessionDetails = buildSessionCookie(updatedUser);
+      // "Log out everywhere", including this browser
+      const result = await env.DB.prepare(`
+        UPDATE sessions SET revoked_at = datetime('now') WHERE user_id = ? AND revoked_at IS NULL
+      `).bind(currentUser.id).run();
 
-      return new Response(JSON.stringify({ profile: {
-        email: updatedUser.email,
-        username: updatedUser.username,
-        name: updatedUser.name
-      } }), {
+      return new Response(JSON.stringify({ success: true, revoked: result.meta.changes }), {
         headers: {
           ...corsHeaders,
-          'Set-Cookie': sessionDetails.header
+          'Set-Cookie': CLEAR_SESSION_COOKIE
         }
       });
     }
 
-    if (path === '/api/suggestions' && request.method === 'POST') {
-      const body = await request.json();
-      const message = typeof body.message === 'string' ? body.message.trim() : '';
-      const contact = typeof body.contact === 'string' ? body.contact.trim() : '';
+    const sessionMatch = path.match(/^\/api\/sessions\/([A-Za-z0-9_-]+)$/);
 
-      if (message.length < 10) {
-        return new Response(JSON.stringify({ error: 'Suggestion is too short to act on.' }), {
-          status: 400,
+    if (sessionMatch && request.method === 'DELETE') {
+      if (!currentUser) {
+        return new Response(JSON.stringify({ error: 'Authentication required' }), {
+          status: 401,
           headers: corsHeaders
         });
       }
 
-      const storedContact = contact || (currentUser ? currentUser.email : null);
+      const result = await env.DB.prepare(`
+        UPDATE sessions SET revoked_at = datetime('now') WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+      `).bind(sessionMatch[1], currentUser.id).run();
+
+      if (!result.meta.changes) {
+        return new Response(JSON.stringify({ error: 'Session not found' }), {
+          status: 404,
+          headers: corsHeaders
+        });
+      }
 
-      await env.DB.prepare(`
-        INSERT INTO suggestions (user_id, contact, message, created_at)
-        VALUES (?, ?, ?, datetime('now'))
-      `).bind(currentUser ? currentUser.id : null, storedContact, message).run();
+      const headers = { ...corsHeaders };
+      if (sessionMatch[1] === currentUser.sessionId) {
+        headers['Set-Cookie'] = CLEAR_SESSION_COOKIE;
+      }
 
-      return new Response(JSON.stringify({ success: true }), { headers: corsHeaders });
+      return new Response(JSON.stringify({ success: true }), { headers });
     }
 
-    if (path === '/api/memes' && request.method === 'GET') {
-      // Get all memes with interactions
-      const memes = await env.DB.prepare(`
-        SELECT m.*, u.name as author_name, u.email as author_email, u.username as author_username, COUNT(i.id) as interaction_count
-        FROM memes m
-        LEFT JOIN users u ON m.user_id = u.id
-        LEFT JOIN interactions i ON m.id = i.meme_id
-        GROUP BY m.id
-        ORDER BY m.score DESC
-      `).all();
-      
-      // Get interactions for each meme
-      for (let meme of memes.results) {
-        const interactions = await env.DB.prepare(`
-          SELECT i.*, u.name as user_name, u.username as user_username 
-          FROM interactions i
-          LEFT JOIN users u ON i.user_id = u.id
-          WHERE i.meme_id = ? 
-          ORDER BY i.created_at DESC
-        `).bind(meme.id).all();
-        meme.interactions = interactions.results || [];
-      }
-      
-      return new Response(JSON.stringify(memes.results), { headers: corsHeaders });
+    const userProfileMatch = path.match(/^\/api\/users\/([a-z0-9-]+)$/);
+
+    if (userProfileMatch && request.method === 'GET') {
+      return await handleGetUserProfile(env, currentUser, corsHeaders, userProfileMatch[1]);
     }
-    
-    if (path === '/api/memes' && request.method === 'POST') {
-      if (!currentUser) {
-        return new Response(JSON.stringify({ error: 'Authentication required' }), 
-          { status: 401, headers: corsHeaders });
-      }
-      
-      const { content } = await request.json();
-      
-      if (!content || content.trim() === '') {
-        return new Response(JSON.stringify({ error: 'Content is required' }), 
-          { status: 400, headers: corsHeaders });
-      }
 
-      const authorLabel = currentUser.username ? '@' + currentUser.username : (currentUser.name || currentUser.email);
-      
-      const result = await env.DB.prepare(`
-        INSERT INTO memes (content, author, user_id, score, created_at)
-        VALUES (?, ?, ?, 100, datetime('now'))
-      `).bind(content.trim(), authorLabel, currentUser.id).run();
-      
-      return new Response(JSON.stringify({ 
-        success: true, 
-        id: result.meta.last_row_id 
-      }), { headers: corsHeaders });
+    if (path === '/api/suggestions' && request.method === 'POST') {
+      return await withIdempotency(request, env, currentUser, corsHeaders, async () => {
+        const limited = await enforceRateLimit(request, env, 'suggestion', { userId: currentUser?.id }, corsHeaders);
+        return limited || handleCreateSuggestion(request, env, currentUser, corsHeaders);
+      });
     }
-    
-    if (path === '/api/interactions' && request.method === 'POST') {
-      if (!currentUser) {
-        return new Response(JSON.stringify({ error: 'Authentication required' }), 
-          { status: 401, headers: corsHeaders });
-      }
-      
-      const { meme_id, type, comment = '' } = await request.json();
-      
-      if (!meme_id || !type || !['refute', 'refine', 'praise'].includes(type)) {
-        return new Response(JSON.stringify({ error: 'Invalid interaction data' }), 
-          { status: 400, headers: corsHeaders });
-      }
-      
-      // Check if user already interacted with this meme
-      const existingInteraction = await env.DB.prepare(`
-        SELECT id FROM interactions WHERE meme_id = ? AND user_id = ? AND type = ?
-      `).bind(meme_id, currentUser.id, type).first();
-      
-      if (existingInteraction) {
-        return new Response(JSON.stringify({ error: 'You already have this type of interaction with this meme' }), 
-          { status: 400, headers: corsHeaders });
-      }
-      
-      // Add the interaction
-      await env.DB.prepare(`
-        INSERT INTO interactions (meme_id, user_id, type, comment, created_at)
-        VALUES (?, ?, ?, ?, datetime('now'))
-      `).bind(meme_id, currentUser.id, type, comment.trim()).run();
-      
-      // Update meme score
-      let scoreChange = 0;
-      switch(type) {
-        case 'refute': scoreChange = -15; break;
-        case 'refine': scoreChange = 10; break;
-        case 'praise': scoreChange = 5; break;
+
+    if (path === '/api/suggestions/mine' && request.method === 'GET') {
+      return await handleListOwnSuggestions(env, currentUser, corsHeaders);
+    }
+
+    if (path === '/api/admin/suggestions' && request.method === 'GET') {
+      if (!isAdmin(currentUser, env)) {
+        return new Response(JSON.stringify({ error: 'Admin access required' }), 
+          { status: 403, headers: corsHeaders });
       }
-      
-      await env.DB.prepare(`
-        UPDATE memes SET score = score + ? WHERE id = ?
-      `).bind(scoreChange, meme_id).run();
-      
-      return new Response(JSON.stringify({ success: true }), { headers: corsHeaders });
+
+      return await handleListSuggestionsForTriage(request, env, corsHeaders);
     }
-    
-    // Debug endpoint
-    if (path === '/api/debug' && request.method === 'GET') {
-      try {
-        const count = await env.DB.prepare('SELECT COUNT(*) as count FROM memes').first();
-        const userCount = await env.DB.prepare('SELECT COUNT(*) as count FROM users').first();
-        const sample = await env.DB.prepare('SELECT * FROM memes LIMIT 1').first();
-        
-        return new Response(JSON.stringify({
-          database_connected: true,
-          meme_count: count.count,
-          user_count: userCount.count,
-          sample_meme: sample,
-          current_user: currentUser ? currentUser.email : null,
-          timestamp: new Date().toISOString()
-        }), { headers: corsHeaders });
-      } catch (error) {
-        return new Response(JSON.stringify({
-          database_connected: false,
-          error: error.message,
-          timestamp: new Date().toISOString()
-        }), { status: 500, headers: corsHeaders });
+
+    const triageMatch = path.match(/^\/api\/admin\/suggestions\/(\d+)$/);
+
+    if (triageMatch && request.method === 'PUT') {
+      if (!isAdmin(currentUser, env)) {
+        return new Response(JSON.stringify({ error: 'Admin access required' }), 
+          { status: 403, headers: corsHeaders });
       }
+
+      return await handleTriageSuggestion(request, env, Number(triageMatch[1]), corsHeaders);
     }
-    
-    return new Response(JSON.stringify({ error: 'Not found' }), 
-      { status: 404, headers: corsHeaders });
-      
-  } catch (error) {
-    console.error('API Error:', error);
-    return new Response(JSON.stringify({ error: 'Internal server error' }), 
-      { status: 500, headers: corsHeaders });
-  }
-}
 
-async function handleLogin(request, env, corsHeaders) {
-  try {
-    const { email } = await request.json();
-    
-    if (!email || !email.includes('@')) {
-      return new Response(JSON.stringify({ error: 'Valid email required' }), 
-        { status: 400, headers: corsHeaders });
+    if (path === '/api/roadmap' && request.method === 'GET') {
+      return await handleGetRoadmap(env, currentUser, corsHeaders);
     }
-    // Request Auth0 to send a passwordless email link
-    const payload = {
-      client_id: env.AUTH0_CLIENT_ID,
-      client_secret: env.AUTH0_CLIENT_SECRET,
-      connection: 'email',
-      email,
-      send: 'code'
-    };
-    
-    const authResponse = await fetch(`https://${env.AUTH0_DOMAIN}/passwordless/start`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
-    
-    if (!authResponse.ok) {
-      const errorText = await authResponse.text();
-      console.error('Auth0 passwordless start failed:', errorText);
-      return new Response(JSON.stringify({ error: 'Failed to send login email. Please try again.' }), 
-        { status: 502, headers: corsHeaders });
+
+    const roadmapVoteMatch = path.match(/^\/api\/roadmap\/(\d+)\/vote$/);
+
+    if (roadmapVoteMatch && (request.method === 'POST' || request.method === 'DELETE')) {
+      return await handleRoadmapVote(request, env, currentUser, Number(roadmapVoteMatch[1]), corsHeaders);
     }
-    
-    return new Response(JSON.stringify({ 
-      success: true,
-      message: 'Verification code sent. Check your email.'
-    }), { headers: corsHeaders });
-    
-  } catch (error) {
-    console.error('Login error:', error);
-    return new Response(JSON.stringify({ error: 'Login failed: ' + error.message }), 
-      { status: 500, headers: corsHeaders });
-  }
-}
 
-async function handleCodeVerification(request, env, corsHeaders) {
-  try {
-    const { email, code } = await request.json();
+    if (path === '/api/pools' && request.method === 'GET') {
+      return await handleListPools(env, currentUser, corsHeaders);
+    }
 
-    if (!email || !email.includes('@') || !code) {
-      return new Response(JSON.stringify({ error: 'Email and verification code are required.' }), {
-        status: 400,
-        headers: corsHeaders
+    if (path === '/api/pools' && request.method === 'POST') {
+      return await withIdempotency(request, env, currentUser, corsHeaders, async () => {
+        const limited = await enforceRateLimit(request, env, 'pool', { userId: currentUser?.id }, corsHeaders);
+        return limited || handleCreatePool(request, env, currentUser, corsHeaders);
       });
     }
 
-    const tokenResponse = await fetch(`https://${env.AUTH0_DOMAIN}/oauth/token`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        grant_type: 'http://auth0.com/oauth/grant-type/passwordless/otp',
-        client_id: env.AUTH0_CLIENT_ID,
-        client_secret: env.AUTH0_CLIENT_SECRET,
-        otp: code,
-        realm: 'email',
-        username: email,
-        scope: 'openid profile email'
-      })
-    });
+    // Meme and interaction routes live under /api/pools/:slug; the unscoped /api/memes,
+    // /api/interactions, /api/search and /api/tags keep serving the default pool
+    const poolMatch = path.match(/^\/api\/pools\/([a-z0-9-]+)(\/.*)?$/);
+    const poolSlug = poolMatch ? poolMatch[1] : (POOL_SCOPED_ROUTE.test(path.slice('/api'.length)) ? DEFAULT_POOL_SLUG : null);
+    let pool = null;
 
-    if (!tokenResponse.ok) {
-      const errorText = await tokenResponse.text();
-      console.error('Auth0 OTP exchange failed:', errorText);
-      return new Response(JSON.stringify({ error: 'Invalid or expired verification code.' }), {
-        status: 401,
-        headers: corsHeaders
-      });
+    if (poolSlug) {
+      pool = await getPool(env, 'slug', poolSlug, currentUser);
+
+      if (!pool || !canViewPool(pool, currentUser, env)) {
+        return new Response(JSON.stringify({ error: 'Pool not found' }),
+          { status: 404, headers: corsHeaders });
+      }
     }
 
-    const tokenData = await tokenResponse.json();
-    let auth0User = null;
+    if (poolMatch) {
+      const poolPath = poolMatch[2] || '';
+      const poolMemberMatch = poolPath.match(/^\/members\/([a-z0-9-]+)$/);
 
-    if (tokenData.access_token) {
-      const userResponse = await fetch(`https://${env.AUTH0_DOMAIN}/userinfo`, {
-        headers: { 'Authorization': `Bearer ${tokenData.access_token}` }
-      });
+      if (poolPath === '' && request.method === 'GET') {
+        return await handleGetPool(env, pool, corsHeaders);
+      }
 
-      if (!userResponse.ok) {
-        console.error('Failed to fetch user info after OTP exchange:', await userResponse.text());
-        return new Response(JSON.stringify({ error: 'Verification succeeded but user info is unavailable.' }), {
-          status: 500,
-          headers: corsHeaders
-        });
+      if (poolPath === '/members' && request.method === 'GET') {
+        return await handleListPoolMembers(env, pool, corsHeaders);
       }
 
-      auth0User = await userResponse.json();
-    } else if (tokenData.id_token) {
-      const decoded = decodeIdToken(tokenData.id_token);
-      if (decoded) {
-        auth0User = decoded;
+      if (poolPath === '/membership' && (request.method === 'POST' || request.method === 'DELETE')) {
+        return await handlePoolMembership(request, env, currentUser, pool, corsHeaders);
       }
-    }
 
-    if (!auth0User || !auth0User.email) {
-      // Fallback to the email the user provided if Auth0 response omits it
-      auth0User = {
-        ...(auth0User || {}),
-        email,
-        name: auth0User?.name || auth0User?.nickname || email
-      };
+      if (poolPath === '/scoring-rules' && request.method === 'GET') {
+        return new Response(JSON.stringify({
+          rules: await getScoringRules(env, pool.id),
+          overrides: await getPoolScoringOverrides(env, pool.id)
+        }), { headers: corsHeaders });
+      }
+
+      const managing = (poolPath === '' && request.method === 'PUT')
+        || (poolMemberMatch && (request.method === 'PUT' || request.method === 'DELETE'))
+        || (poolPath === '/scoring-rules' && request.method === 'PUT');
+
+      if (managing && !canManagePool(pool, currentUser, env)) {
+        return new Response(JSON.stringify({ error: 'Only pool owners can do that' }),
+          { status: 403, headers: corsHeaders });
+      }
+
+      if (poolPath === '' && request.method === 'PUT') {
+        return await handleUpdatePool(request, env, pool, corsHeaders);
+      }
+
+      if (poolMemberMatch && (request.method === 'PUT' || request.method === 'DELETE')) {
+        return await handleManagePoolMember(request, env, pool, corsHeaders, poolMemberMatch[1]);
+      }
+
+      if (poolPath === '/scoring-rules' && request.method === 'PUT') {
+        return await handleUpdatePoolScoringRules(request, env, pool, corsHeaders);
+      }
+
+      if (!POOL_SCOPED_ROUTE.test(poolPath)) {
+        return new Response(JSON.stringify({ error: 'Not found' }),
+          { status: 404, headers: corsHeaders });
+      }
+
+      path = '/api' + poolPath;
     }
 
-    const user = await upsertAuth0User(auth0User, env);
-    const sessionDetails = buildSessionCookie(user, auth0User);
+    if (path === '/api/search' && request.method === 'GET') {
+      return await handleSearch(request, env, corsHeaders, pool);
+    }
 
-    return new Response(JSON.stringify({ success: true }), {
-      headers: {
-        ...corsHeaders,
-        'Set-Cookie': sessionDetails.header
+    if (path === '/api/memes' && request.method === 'GET') {
+      return await handleListMemes(request, env, corsHeaders, pool);
+    }
+
+    if (path === '/api/tags' && request.method === 'GET') {
+      return await handleListTags(env, corsHeaders, pool);
+    }
+    
+    const memeMatch = path.match(/^\/api\/memes\/(\d+)$/);
+    const lineageMatch = path.match(/^\/api\/memes\/(\d+)\/lineage$/);
+
+    if (lineageMatch && request.method === 'GET') {
+      const lineage = await getMemeLineage(env, Number(lineageMatch[1]), pool.id);
+
+      if (!lineage) {
+        const redirect = await mergedMemeRedirect(env, pool, Number(lineageMatch[1]), '/lineage', corsHeaders);
+        if (redirect) return redirect;
+        return new Response(JSON.stringify({ error: 'Meme not found' }), {
+          status: 404,
+          headers: corsHeaders
+        });
       }
-    });
 
+      return new Response(JSON.stringify(lineage), { headers: corsHeaders });
+    }
+
+    const memeVersionsMatch = path.match(/^\/api\/memes\/(\d+)\/versions$/);
+
+    if (memeVersionsMatch && request.method === 'GET') {
+      const versions = await env.DB.prepare(`
+        SELECT v.version, v.content, v.created_at
+        FROM meme_versions v
+        JOIN memes m ON m.id = v.meme_id
+        WHERE v.meme_id = ? AND m.hidden_at IS NULL AND m.pool_id = ?
+        ORDER BY v.version
+      `).bind(Number(memeVersionsMatch[1]), pool.id).all();
+
+      if (!versions.results || versions.results.length === 0) {
+        const redirect = await mergedMemeRedirect(env, pool, Number(memeVersionsMatch[1]), '/versions', corsHeaders);
+        if (redirect) return redirect;
+        return new Response(JSON.stringify({ error: 'Meme not found' }), {
+          status: 404,
+          headers: corsHeaders
+        });
+      }
+
+      return new Response(JSON.stringify({ versions: versions.results }), { headers: corsHeaders });
+    }
+
+    if (memeMatch && request.method === 'PUT') {
+      return await handleUpdateMeme(request, env, currentUser, corsHeaders, pool, Number(memeMatch[1]));
+    }
+
+    if (memeMatch && request.method === 'GET') {
+      const meme = await getMemeWithInteractions(env, Number(memeMatch[1]));
+
+      if (!meme || meme.pool_id !== pool.id) {
+        const redirect = await mergedMemeRedirect(env, pool, Number(memeMatch[1]), '', corsHeaders);
+        if (redirect) return redirect;
+        return new Response(JSON.stringify({ error: 'Meme not found' }), {
+          status: 404,
+          headers: corsHeaders
+        });
+      }
+
+      return new Response(JSON.stringify({ meme: toPublicMeme(meme) }), { headers: corsHeaders });
+    }
+    
+    if (path === '/api/memes' && request.method === 'POST') {
+      return await withIdempotency(request, env, currentUser, corsHeaders, async () => {
+        const limited = await enforceRateLimit(request, env, 'meme', { userId: currentUser?.id }, corsHeaders);
+        return limited || handleCreateMeme(request, env, currentUser, corsHeaders, pool);
+      });
+    }
+    
+    if (path === '/api/interactions' && request.method === 'POST') {
+      return await withIdempotency(request, env, currentUser, corsHeaders, async () => {
+        const limited = await enforceRateLimit(request, env, 'interaction', { userId: currentUser?.id }, corsHeaders);
+        return limited || handleCreateInteraction(request, env, currentUser, corsHeaders, pool);
+      });
+    }
+
+    const interactionMatch = path.match(/^\/api\/interactions\/(\d+)$/);
+    const interactionHistoryMatch = path.match(/^\/api\/interactions\/(\d+)\/history$/);
+
+    if (interactionMatch && request.method === 'PUT') {
+      return await handleUpdateInteraction(request, env, currentUser, corsHeaders, pool, Number(interactionMatch[1]));
+    }
+
+    if (interactionMatch && request.method === 'DELETE') {
+      return await handleRetractInteraction(env, currentUser, corsHeaders, pool, Number(interactionMatch[1]));
+    }
+
+    if (interactionHistoryMatch && request.method === 'GET') {
+      // A withdrawn comment was taken back, so only its author and moderators can still read it
+      const history = await env.DB.prepare(`
+        SELECT id, action, previous_type, previous_comment, new_type, new_comment, created_at
+        FROM interaction_edits
+        WHERE interaction_id = ?
+          AND interaction_id IN (
+            SELECT i.id FROM interactions i JOIN memes m ON m.id = i.meme_id
+            WHERE i.hidden_at IS NULL AND m.pool_id = ?
+              AND (i.retracted_at IS NULL OR i.user_id = ? OR ?)
+          )
+        ORDER BY created_at, id
+      `).bind(
+        Number(interactionHistoryMatch[1]),
+        pool.id,
+        currentUser ? currentUser.id : null,
+        hasRole(currentUser, env, 'moderator') ? 1 : 0
+      ).all();
+
+      return new Response(JSON.stringify({ history: history.results || [] }), { headers: corsHeaders });
+    }
+    
+    if (path === '/api/admin/scoring-rules' && request.method === 'GET') {
+      if (!isAdmin(currentUser, env)) {
+        return new Response(JSON.stringify({ error: 'Admin access required' }), 
+          { status: 403, headers: corsHeaders });
+      }
+
+      return new Response(JSON.stringify({ rules: await getScoringRules(env) }), { headers: corsHeaders });
+    }
+
+    if (path === '/api/admin/scoring-rules' && request.method === 'PUT') {
+      if (!isAdmin(currentUser, env)) {
+        return new Response(JSON.stringify({ error: 'Admin access required' }), 
+          { status: 403, headers: corsHeaders });
+      }
+
+      const body = await request.json();
+      const updates = Object.keys(DEFAULT_SCORING_RULES).filter(name => body[name] !== undefined);
+
+      if (updates.length === 0 || updates.some(name => !Number.isInteger(body[name]))) {
+        return new Response(JSON.stringify({ error: 'Provide integer values for any of: ' + Object.keys(DEFAULT_SCORING_RULES).join(', ') }), 
+          { status: 400, headers: corsHeaders });
+      }
+
+      await env.DB.batch(updates.map(name => env.DB.prepare(`
+        INSERT INTO scoring_rules (name, value, updated_at) VALUES (?, ?, datetime('now'))
+        ON CONFLICT(name) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+      `).bind(name, body[name])));
+
+      // Scores are stale until the next recompute; callers decide when to rebuild
+      return new Response(JSON.stringify({ rules: await getScoringRules(env) }), { headers: corsHeaders });
+    }
+
+    if (path === '/api/admin/recompute-scores' && request.method === 'POST') {
+      if (!isAdmin(currentUser, env)) {
+        return new Response(JSON.stringify({ error: 'Admin access required' }), 
+          { status: 403, headers: corsHeaders });
+      }
+
+      const rules = await getScoringRules(env);
+      const pools = await env.DB.prepare('SELECT id FROM pools ORDER BY id').all();
+      let updated = 0;
+
+      for (const pool of pools.results || []) {
+        const result = await recomputeScores(env, await getScoringRules(env, pool.id), { poolId: pool.id });
+        updated += result.meta.changes;
+      }
+
+      return new Response(JSON.stringify({
+        success: true,
+        updated,
+        rules
+      }), { headers: corsHeaders });
+    }
+    
+    const mergeMatch = path.match(/^\/api\/moderation\/memes\/(\d+)\/merge$/);
+
+    if (mergeMatch && request.method === 'POST') {
+      if (!hasRole(currentUser, env, 'moderator')) {
+        return new Response(JSON.stringify({ error: 'Moderator access required' }), 
+          { status: 403, headers: corsHeaders });
+      }
+
+      return await handleMergeMemes(request, env, currentUser, corsHeaders, Number(mergeMatch[1]));
+    }
+
+    const moderationMatch = path.match(/^\/api\/moderation\/(memes|interactions|users)\/(\d+)\/([a-z]+)$/);
+
+    if (moderationMatch && request.method === 'POST') {
+      if (!hasRole(currentUser, env, 'moderator')) {
+        return new Response(JSON.stringify({ error: 'Moderator access required' }), 
+          { status: 403, headers: corsHeaders });
+      }
+
+      return await handleModerationAction(request, env, currentUser, corsHeaders,
+        moderationMatch[1], Number(moderationMatch[2]), moderationMatch[3]);
+    }
+
+    if (path === '/api/flags' && request.method === 'POST') {
+      const limited = await enforceRateLimit(request, env, 'flag', { userId: currentUser?.id }, corsHeaders);
+      if (limited) return limited;
+      return await handleCreateFlag(request, env, currentUser, corsHeaders);
+    }
+
+    if (path === '/api/moderation/queue' && request.method === 'GET') {
+      if (!hasRole(currentUser, env, 'moderator')) {
+        return new Response(JSON.stringify({ error: 'Moderator access required' }), 
+          { status: 403, headers: corsHeaders });
+      }
+
+      return new Response(JSON.stringify({ queue: await getFlagQueue(env) }), { headers: corsHeaders });
+    }
+
+    const queueDecisionMatch = path.match(/^\/api\/moderation\/queue\/(meme|interaction)\/(\d+)\/(approve|remove)$/);
+
+    if (queueDecisionMatch && request.method === 'POST') {
+      if (!hasRole(currentUser, env, 'moderator')) {
+        return new Response(JSON.stringify({ error: 'Moderator access required' }), 
+          { status: 403, headers: corsHeaders });
+      }
+
+      return await handleFlagDecision(request, env, currentUser, corsHeaders,
+        queueDecisionMatch[1], Number(queueDecisionMatch[2]), queueDecisionMatch[3]);
+    }
+
+    if (path === '/api/moderation/recent' && request.method === 'GET') {
+      if (!hasRole(currentUser, env, 'moderator')) {
+        return new Response(JSON.stringify({ error: 'Moderator access required' }), 
+          { status: 403, headers: corsHeaders });
+      }
+
+      return new Response(JSON.stringify(await getModerationOverview(env)), { headers: corsHeaders });
+    }
+
+    const roleMatch = path.match(/^\/api\/admin\/users\/(\d+)\/role$/);
+
+    if (roleMatch && request.method === 'PUT') {
+      if (!isAdmin(currentUser, env)) {
+        return new Response(JSON.stringify({ error: 'Admin access required' }), 
+          { status: 403, headers: corsHeaders });
+      }
+
+      const targetId = Number(roleMatch[1]);
+      const { role } = await request.json().catch(() => ({}));
+
+      if (!ROLE_RANKS.hasOwnProperty(role)) {
+        return new Response(JSON.stringify({ error: 'Role must be one of: ' + Object.keys(ROLE_RANKS).join(', ') }), 
+          { status: 400, headers: corsHeaders });
+      }
+
+      if (targetId === currentUser.id) {
+        return new Response(JSON.stringify({ error: 'You cannot change your own role' }), 
+          { status: 400, headers: corsHeaders });
+      }
+
+      const [result] = await env.DB.batch([
+        env.DB.prepare(`UPDATE users SET role = ? WHERE id = ?`).bind(role, targetId),
+        env.DB.prepare(`
+          INSERT INTO moderation_actions (moderator_id, action, target_type, target_id, reason, created_at)
+          SELECT ?, 'set_role', 'user', ?, ?, datetime('now') WHERE changes() > 0
+        `).bind(currentUser.id, targetId, role)
+      ]);
+
+      if (!result.meta.changes) {
+        return new Response(JSON.stringify({ error: 'User not found' }), 
+          { status: 404, headers: corsHeaders });
+      }
+
+      return new Response(JSON.stringify({ success: true, role }), { headers: corsHeaders });
+    }
+
+    if (path === '/api/admin/diagnostics' && request.method === 'GET') {
+      if (!isAdmin(currentUser, env)) {
+        return new Response(JSON.stringify({ error: 'Admin access required' }), 
+          { status: 403, headers: corsHeaders });
+      }
+
+      try {
+        const counts = await env.DB.prepare(`
+          SELECT
+            (SELECT COUNT(*) FROM memes) as memes,
+            (SELECT COUNT(*) FROM interactions) as interactions,
+            (SELECT COUNT(*) FROM users) as users,
+            (SELECT COUNT(*) FROM sessions WHERE revoked_at IS NULL AND expires_at > datetime('now')) as active_sessions
+        `).first();
+
+        return new Response(JSON.stringify({
+          database_connected: true,
+          counts,
+          timestamp: new Date().toISOString()
+        }), { headers: corsHeaders });
+      } catch (error) {
+        return new Response(JSON.stringify({
+          database_connected: false,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        }), { status: 500, headers: corsHeaders });
+      }
+    }
+    
+    return new Response(JSON.stringify({ error: 'Not found' }), 
+      { status: 404, headers: corsHeaders });
+      
   } catch (error) {
-    console.error('Code verification error:', error);
-    return new Response(JSON.stringify({ error: 'Verification failed: ' + error.message }), {
-      status: 500,
+    console.error('API Error:', error);
+    return new Response(JSON.stringify({ error: 'Internal server error' }), 
+      { status: 500, headers: corsHeaders });
+  }
+}
+
+async function handleCreateSuggestion(request, env, currentUser, corsHeaders) {
+  const body = await request.json();
+  const message = typeof body.message === 'string' ? body.message.trim() : '';
+  const contact = typeof body.contact === 'string' ? body.contact.trim() : '';
+
+  if (message.length < 10) {
+    return new Response(JSON.stringify({ error: 'Suggestion is too short to act on.' }), {
+      status: 400,
       headers: corsHeaders
     });
   }
+
+  const storedContact = contact || (currentUser ? currentUser.email : null);
+
+  await env.DB.prepare(`
+    INSERT INTO suggestions (user_id, contact, message, created_at)
+    VALUES (?, ?, ?, datetime('now'))
+  `).bind(currentUser ? currentUser.id : null, storedContact, message).run();
+
+  return new Response(JSON.stringify({ success: true }), { headers: corsHeaders });
 }
 
-async function upsertAuth0User(auth0User, env) {
-  if (!auth0User || !auth0User.email) {
-    throw new Error('Auth0 profile missing email');
+const SUGGESTION_STATUSES = ['new', 'planned', 'in_progress', 'done', 'declined'];
+// Accepted suggestions are the ones that appear on the public roadmap
+const ROADMAP_STATUSES = ['planned', 'in_progress', 'done'];
+// Shared by suggestion triage tags and meme topic tags
+const TAG_PATTERN = /^[a-z0-9][a-z0-9-]{0,23}$/;
+const MAX_TAGS = 5;
+const TAG_RULES_ERROR = `Provide up to ${MAX_TAGS} tags of lowercase letters, digits and dashes`;
+
+function toSuggestion(row) {
+  return { ...row, tags: JSON.parse(row.tags || '[]') };
+}
+
+// Returns the cleaned tag list, or null if any tag is invalid
+function normalizeTags(tags) {
+  if (!Array.isArray(tags) || tags.length > MAX_TAGS) {
+    return null;
   }
 
-  const preferredName = auth0User.name || auth0User.nickname || auth0User.email;
+  const cleaned = [...new Set(tags.map(tag => typeof tag === 'string' ? tag.trim().toLowerCase() : ''))];
+  return cleaned.every(tag => TAG_PATTERN.test(tag)) ? cleaned : null;
+}
 
-  let user = await env.DB.prepare('SELECT * FROM users WHERE email = ?')
-    .bind(auth0User.email)
-    .first();
+async function handleListOwnSuggestions(env, currentUser, corsHeaders) {
+  if (!currentUser) {
+    return new Response(JSON.stringify({ error: 'Authentication required' }), 
+      { status: 401, headers: corsHeaders });
+  }
 
-  if (!user) {
-    const username = await generateUsername(env);
-    const result = await env.DB.prepare(`
-      INSERT INTO users (email, name, username, created_at)
-      VALUES (?, ?, ?, datetime('now'))
-    `).bind(auth0User.email, preferredName, username).run();
+  const result = await env.DB.prepare(`
+    SELECT id, message, status, tags, reply, replied_at, created_at, updated_at
+    FROM suggestions WHERE user_id = ?
+    ORDER BY created_at DESC, id DESC
+  `).bind(currentUser.id).all();
 
-    user = {
-      id: result.meta.last_row_id,
-      email: auth0User.email,
-      name: preferredName,
-      username
-    };
-  } else {
-    if (!user.name && preferredName) {
-      await env.DB.prepare('UPDATE users SET name = ? WHERE id = ?')
-        .bind(preferredName, user.id)
-        .run();
-      user.name = preferredName;
+  return new Response(JSON.stringify({ suggestions: (result.results || []).map(toSuggestion) }), 
+    { headers: corsHeaders });
+}
+
+async function handleListSuggestionsForTriage(request, env, corsHeaders) {
+  const url = new URL(request.url);
+  const status = url.searchParams.get('status');
+  const tag = url.searchParams.get('tag');
+
+  if (status && !SUGGESTION_STATUSES.includes(status)) {
+    return new Response(JSON.stringify({ error: 'status must be one of: ' + SUGGESTION_STATUSES.join(', ') }), 
+      { status: 400, headers: corsHeaders });
+  }
+
+  const result = await env.DB.prepare(`
+    SELECT s.id, s.message, s.contact, s.status, s.tags, s.reply, s.replied_at, s.created_at, s.updated_at,
+      u.username as user_username,
+      (SELECT COUNT(*) FROM suggestion_votes v WHERE v.suggestion_id = s.id) as vote_count
+    FROM suggestions s
+    LEFT JOIN users u ON s.user_id = u.id
+    WHERE (?1 IS NULL OR s.status = ?1)
+      AND (?2 IS NULL OR EXISTS (SELECT 1 FROM json_each(s.tags) WHERE json_each.value = ?2))
+    ORDER BY s.status = 'new' DESC, s.created_at DESC
+    LIMIT 200
+  `).bind(status || null, tag ? tag.toLowerCase() : null).all();
+
+  return new Response(JSON.stringify({
+    suggestions: (result.results || []).map(toSuggestion),
+    statuses: SUGGESTION_STATUSES
+  }), { headers: corsHeaders });
+}
+
+async function handleTriageSuggestion(request, env, suggestionId, corsHeaders) {
+  const body = await request.json();
+  const assignments = [];
+  const values = [];
+
+  if (body.status !== undefined) {
+    if (!SUGGESTION_STATUSES.includes(body.status)) {
+      return new Response(JSON.stringify({ error: 'status must be one of: ' + SUGGESTION_STATUSES.join(', ') }), 
+        { status: 400, headers: corsHeaders });
+    }
+    assignments.push('status = ?');
+    values.push(body.status);
+  }
+
+  if (body.tags !== undefined) {
+    const tags = normalizeTags(body.tags);
+    if (!tags) {
+      return new Response(JSON.stringify({ error: TAG_RULES_ERROR }), 
+        { status: 400, headers: corsHeaders });
+    }
+    assignments.push('tags = ?');
+    values.push(JSON.stringify(tags));
+  }
+
+  if (body.reply !== undefined) {
+    if (typeof body.reply !== 'string' || body.reply.length > 2000) {
+      return new Response(JSON.stringify({ error: 'Reply must be text of at most 2000 characters' }), 
+        { status: 400, headers: corsHeaders });
+    }
+    // An empty reply clears it
+    const reply = body.reply.trim();
+    assignments.push('reply = ?', `replied_at = CASE WHEN ? IS NULL THEN NULL ELSE datetime('now') END`);
+    values.push(reply || null, reply || null);
+  }
+
+  if (assignments.length === 0) {
+    return new Response(JSON.stringify({ error: 'Nothing to update: provide status, tags or reply' }), 
+      { status: 400, headers: corsHeaders });
+  }
+
+  const updated = await env.DB.prepare(`
+    UPDATE suggestions SET ${assignments.join(', ')}, updated_at = datetime('now')
+    WHERE id = ?
+    RETURNING id, message, contact, status, tags, reply, replied_at, created_at, updated_at
+  `).bind(...values, suggestionId).first();
+
+  if (!updated) {
+    return new Response(JSON.stringify({ error: 'Suggestion not found' }), 
+      { status: 404, headers: corsHeaders });
+  }
+
+  return new Response(JSON.stringify({ suggestion: toSuggestion(updated) }), { headers: corsHeaders });
+}
+
+// The roadmap is public: message, status, tags, reply and votes, never who sent it or how to reach them
+async function handleGetRoadmap(env, currentUser, corsHeaders) {
+  const result = await env.DB.prepare(`
+    SELECT s.id, s.message, s.status, s.tags, s.reply, s.replied_at, s.created_at, s.updated_at,
+      (SELECT COUNT(*) FROM suggestion_votes v WHERE v.suggestion_id = s.id) as vote_count,
+      EXISTS (SELECT 1 FROM suggestion_votes v WHERE v.suggestion_id = s.id AND v.user_id = ?) as voted
+    FROM suggestions s
+    WHERE s.status IN (${ROADMAP_STATUSES.map(() => '?').join(', ')})
+    ORDER BY vote_count DESC, s.updated_at DESC
+  `).bind(currentUser ? currentUser.id : null, ...ROADMAP_STATUSES).all();
+
+  return new Response(JSON.stringify({
+    suggestions: (result.results || []).map(row => ({ ...toSuggestion(row), voted: Boolean(row.voted) })),
+    statuses: ROADMAP_STATUSES
+  }), { headers: corsHeaders });
+}
+
+async function handleRoadmapVote(request, env, currentUser, suggestionId, corsHeaders) {
+  if (!currentUser) {
+    return new Response(JSON.stringify({ error: 'Log in to vote on the roadmap' }), 
+      { status: 401, headers: corsHeaders });
+  }
+
+  const suggestion = await env.DB.prepare(`
+    SELECT id FROM suggestions WHERE id = ? AND status IN (${ROADMAP_STATUSES.map(() => '?').join(', ')})
+  `).bind(suggestionId, ...ROADMAP_STATUSES).first();
+
+  if (!suggestion) {
+    return new Response(JSON.stringify({ error: 'Suggestion not found on the roadmap' }), 
+      { status: 404, headers: corsHeaders });
+  }
+
+  // Voting twice or removing a missing vote is a no-op, so both verbs are safe to retry
+  await (request.method === 'POST'
+    ? env.DB.prepare(`
+        INSERT INTO suggestion_votes (suggestion_id, user_id, created_at) VALUES (?, ?, datetime('now'))
+        ON CONFLICT(suggestion_id, user_id) DO NOTHING
+      `).bind(suggestionId, currentUser.id)
+    : env.DB.prepare('DELETE FROM suggestion_votes WHERE suggestion_id = ? AND user_id = ?')
+      .bind(suggestionId, currentUser.id)
+  ).run();
+
+  const { vote_count } = await env.DB.prepare('SELECT COUNT(*) as vote_count FROM suggestion_votes WHERE suggestion_id = ?')
+    .bind(suggestionId).first();
+
+  return new Response(JSON.stringify({ success: true, voted: request.method === 'POST', vote_count }), 
+    { headers: corsHeaders });
+}
+
+const DEFAULT_POOL_SLUG = 'main';
+const POOL_VISIBILITIES = ['public', 'unlisted', 'members_only'];
+const POOL_ROLES = ['member', 'owner'];
+const POOL_SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,31}$/;
+// Paths below /api/pools/:slug that are served by the meme and interaction routes
+const POOL_SCOPED_ROUTE = /^\/(memes|interactions|search|tags)(\/|$)/;
+const PUBLIC_POOL_FIELDS = ['slug', 'name', 'description', 'visibility', 'created_at', 'meme_count', 'member_count'];
+
+function toPublicPool(row) {
+  const pool = pickFields(row, PUBLIC_POOL_FIELDS);
+  pool.page = poolPagePath(row);
+  pool.role = row.member_role || null;
+  return pool;
+}
+
+function poolPagePath(pool) {
+  return pool.slug === DEFAULT_POOL_SLUG ? '/' : `/p/${pool.slug}`;
+}
+
+// A pool and the viewer's role in it; key is 'slug' or 'id' and always comes from our code
+async function getPool(env, key, value, user) {
+  return env.DB.prepare(`
+    SELECT p.*, pm.role as member_role
+    FROM pools p
+    LEFT JOIN pool_members pm ON pm.pool_id = p.id AND pm.user_id = ?
+    WHERE p.${key === 'id' ? 'id' : 'slug'} = ?
+  `).bind(user ? user.id : null, value).first();
+}
+
+// Public and unlisted pools are open to everyone (unlisted ones just aren't listed); members-only
+// pools don't exist for anyone but their members and site admins
+function canViewPool(pool, user, env) {
+  return pool.visibility !== 'members_only' || Boolean(pool.member_role) || isAdmin(user, env);
+}
+
+function canManagePool(pool, user, env) {
+  return pool.member_role === 'owner' || isAdmin(user, env);
+}
+
+// Public pools plus every pool the viewer belongs to, the default pool first
+async function handleListPools(env, currentUser, corsHeaders) {
+  const result = await env.DB.prepare(`
+    SELECT p.*, pm.role as member_role,
+      (SELECT COUNT(*) FROM memes m WHERE m.pool_id = p.id AND m.hidden_at IS NULL) as meme_count,
+      (SELECT COUNT(*) FROM pool_members pc WHERE pc.pool_id = p.id) as member_count
+    FROM pools p
+    LEFT JOIN pool_members pm ON pm.pool_id = p.id AND pm.user_id = ?
+    WHERE p.visibility = 'public' OR pm.user_id IS NOT NULL
+    ORDER BY p.slug = ? DESC, meme_count DESC, p.name
+    LIMIT 100
+  `).bind(currentUser ? currentUser.id : null, DEFAULT_POOL_SLUG).all();
+
+  return new Response(JSON.stringify({ pools: (result.results || []).map(toPublicPool) }), { headers: corsHeaders });
+}
+
+async function handleGetPool(env, pool, corsHeaders) {
+  const counts = await env.DB.prepare(`
+    SELECT
+      (SELECT COUNT(*) FROM memes WHERE pool_id = ? AND hidden_at IS NULL) as meme_count,
+      (SELECT COUNT(*) FROM pool_members WHERE pool_id = ?) as member_count
+  `).bind(pool.id, pool.id).first();
+
+  return new Response(JSON.stringify({ pool: toPublicPool({ ...pool, ...counts }) }), { headers: corsHeaders });
+}
+
+// Checks name, description and visibility; each is optional unless required is set
+function validatePoolFields(body, required) {
+  const fields = {};
+
+  if (body.name !== undefined || required) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 50) {
+      return { error: 'Pool name must be 1-50 characters' };
+    }
+    fields.name = name;
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== 'string') {
+      return { error: 'Description must be text' };
+    }
+    fields.description = body.description && body.description.trim() ? body.description.trim().slice(0, 500) : null;
+  }
+
+  if (body.visibility !== undefined) {
+    if (!POOL_VISIBILITIES.includes(body.visibility)) {
+      return { error: 'Visibility must be one of: ' + POOL_VISIBILITIES.join(', ') };
+    }
+    fields.visibility = body.visibility;
+  }
+
+  return { fields };
+}
+
+async function handleCreatePool(request, env, currentUser, corsHeaders) {
+  if (!currentUser) {
+    return new Response(JSON.stringify({ error: 'Authentication required' }), 
+      { status: 401, headers: corsHeaders });
+  }
+
+  const body = await request.json();
+  const slug = typeof body.slug === 'string' ? body.slug.trim().toLowerCase() : '';
+
+  if (!POOL_SLUG_PATTERN.test(slug)) {
+    return new Response(JSON.stringify({ error: 'Pool slug must be 2-32 lowercase letters, digits and dashes' }), 
+      { status: 400, headers: corsHeaders });
+  }
+
+  const { fields, error } = validatePoolFields(body, true);
+
+  if (error) {
+    return new Response(JSON.stringify({ error }), { status: 400, headers: corsHeaders });
+  }
+
+  // The creator is the pool's first owner, in the same transaction
+  try {
+    await env.DB.batch([
+      env.DB.prepare(`
+        INSERT INTO pools (slug, name, description, visibility, created_by, created_at)
+        VALUES (?, ?, ?, ?, ?, datetime('now'))
+      `).bind(slug, fields.name, fields.description || null, fields.visibility || 'public', currentUser.id),
+      env.DB.prepare(`
+        INSERT INTO pool_members (pool_id, user_id, role, created_at)
+        VALUES (last_insert_rowid(), ?, 'owner', datetime('now'))
+      `).bind(currentUser.id)
+    ]);
+  } catch (error) {
+    if (isUniqueConstraintError(error)) {
+      return new Response(JSON.stringify({ error: 'A pool with that slug already exists' }), 
+        { status: 409, headers: corsHeaders });
+    }
+    throw error;
+  }
+
+  const pool = await getPool(env, 'slug', slug, currentUser);
+
+  return new Response(JSON.stringify({ success: true, pool: toPublicPool({ ...pool, meme_count: 0, member_count: 1 }) }), 
+    { status: 201, headers: corsHeaders });
+}
+
+async function handleUpdatePool(request, env, pool, corsHeaders) {
+  const { fields, error } = validatePoolFields(await request.json(), false);
+
+  if (error) {
+    return new Response(JSON.stringify({ error }), { status: 400, headers: corsHeaders });
+  }
+
+  const columns = Object.keys(fields);
+
+  if (columns.length === 0) {
+    return new Response(JSON.stringify({ error: 'Provide any of: name, description, visibility' }), 
+      { status: 400, headers: corsHeaders });
+  }
+
+  const updated = await env.DB.prepare(`
+    UPDATE pools SET ${columns.map(column => column + ' = ?').join(', ')} WHERE id = ? RETURNING *
+  `).bind(...columns.map(column => fields[column]), pool.id).first();
+
+  return new Response(JSON.stringify({ pool: toPublicPool({ ...updated, member_role: pool.member_role }) }), { headers: corsHeaders });
+}
+
+async function handleListPoolMembers(env, pool, corsHeaders) {
+  const result = await env.DB.prepare(`
+    SELECT u.username, u.name, u.display_preference, pm.role, pm.created_at
+    FROM pool_members pm
+    JOIN users u ON u.id = pm.user_id
+    WHERE pm.pool_id = ?
+    ORDER BY pm.role = 'owner' DESC, pm.created_at
+  `).bind(pool.id).all();
+
+  const members = (result.results || []).map(row => ({
+    username: row.username,
+    display_name: publicDisplayName(row.name, row.username, row.display_preference),
+    role: row.role,
+    joined_at: row.created_at
+  }));
+
+  return new Response(JSON.stringify({ members }), { headers: corsHeaders });
+}
+
+// A pool always keeps at least one owner, so the last one can neither leave nor be removed or demoted
+async function isLastPoolOwner(env, pool, userId) {
+  const row = await env.DB.prepare(`
+    SELECT COUNT(*) as owners, SUM(user_id = ?) as is_owner FROM pool_members WHERE pool_id = ? AND role = 'owner'
+  `).bind(userId, pool.id).first();
+  return row.owners === 1 && row.is_owner === 1;
+}
+
+// Anyone signed in can join or leave a public or unlisted pool; members-only pools are joined by invitation
+async function handlePoolMembership(request, env, currentUser, pool, corsHeaders) {
+  if (!currentUser) {
+    return new Response(JSON.stringify({ error: 'Authentication required' }), 
+      { status: 401, headers: corsHeaders });
+  }
+
+  if (request.method === 'POST') {
+    if (pool.visibility === 'members_only' && !pool.member_role) {
+      return new Response(JSON.stringify({ error: 'This pool is invite-only; ask an owner to add you' }), 
+        { status: 403, headers: corsHeaders });
+    }
+
+    await env.DB.prepare(`
+      INSERT INTO pool_members (pool_id, user_id, role, created_at) VALUES (?, ?, 'member', datetime('now'))
+      ON CONFLICT(pool_id, user_id) DO NOTHING
+    `).bind(pool.id, currentUser.id).run();
+
+    return new Response(JSON.stringify({ success: true, role: pool.member_role || 'member' }), { headers: corsHeaders });
+  }
+
+  if (await isLastPoolOwner(env, pool, currentUser.id)) {
+    return new Response(JSON.stringify({ error: 'Hand ownership to another member before leaving' }), 
+      { status: 409, headers: corsHeaders });
+  }
+
+  await env.DB.prepare('DELETE FROM pool_members WHERE pool_id = ? AND user_id = ?').bind(pool.id, currentUser.id).run();
+
+  return new Response(JSON.stringify({ success: true, role: null }), { headers: corsHeaders });
+}
+
+// Owners add people (by handle), promote or demote them, and remove them
+async function handleManagePoolMember(request, env, pool, corsHeaders, username) {
+  const user = await env.DB.prepare('SELECT id, username FROM users WHERE username = ?').bind(username).first();
+
+  if (!user) {
+    return new Response(JSON.stringify({ error: 'User not found' }), 
+      { status: 404, headers: corsHeaders });
+  }
+
+  if (request.method === 'PUT') {
+    const { role = 'member' } = await request.json().catch(() => ({}));
+
+    if (!POOL_ROLES.includes(role)) {
+      return new Response(JSON.stringify({ error: 'Role must be one of: ' + POOL_ROLES.join(', ') }), 
+        { status: 400, headers: corsHeaders });
+    }
+
+    if (role !== 'owner' && await isLastPoolOwner(env, pool, user.id)) {
+      return new Response(JSON.stringify({ error: 'A pool needs at least one owner' }), 
+        { status: 409, headers: corsHeaders });
+    }
+
+    await env.DB.prepare(`
+      INSERT INTO pool_members (pool_id, user_id, role, created_at) VALUES (?, ?, ?, datetime('now'))
+      ON CONFLICT(pool_id, user_id) DO UPDATE SET role = excluded.role
+    `).bind(pool.id, user.id, role).run();
+
+    return new Response(JSON.stringify({ success: true, username: user.username, role }), { headers: corsHeaders });
+  }
+
+  if (await isLastPoolOwner(env, pool, user.id)) {
+    return new Response(JSON.stringify({ error: 'A pool needs at least one owner' }), 
+      { status: 409, headers: corsHeaders });
+  }
+
+  const result = await env.DB.prepare('DELETE FROM pool_members WHERE pool_id = ? AND user_id = ?').bind(pool.id, user.id).run();
+
+  if (!result.meta.changes) {
+    return new Response(JSON.stringify({ error: 'Not a member of this pool' }), 
+      { status: 404, headers: corsHeaders });
+  }
+
+  return new Response(JSON.stringify({ success: true }), { headers: corsHeaders });
+}
+
+// Owners override any rule for their pool (null drops the override); the pool is rebuilt right away
+async function handleUpdatePoolScoringRules(request, env, pool, corsHeaders) {
+  const body = await request.json();
+  const names = Object.keys(DEFAULT_SCORING_RULES).filter(name => body[name] !== undefined);
+
+  if (names.length === 0 || names.some(name => body[name] !== null && !Number.isInteger(body[name]))) {
+    return new Response(JSON.stringify({ error: 'Provide integer values (or null to reset) for any of: ' + Object.keys(DEFAULT_SCORING_RULES).join(', ') }), 
+      { status: 400, headers: corsHeaders });
+  }
+
+  await env.DB.batch(names.map(name => body[name] === null
+    ? env.DB.prepare('DELETE FROM pool_scoring_rules WHERE pool_id = ? AND name = ?').bind(pool.id, name)
+    : env.DB.prepare(`
+        INSERT INTO pool_scoring_rules (pool_id, name, value, updated_at) VALUES (?, ?, ?, datetime('now'))
+        ON CONFLICT(pool_id, name) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+      `).bind(pool.id, name, body[name])));
+
+  const rules = await getScoringRules(env, pool.id);
+  const result = await recomputeScores(env, rules, { poolId: pool.id });
+
+  return new Response(JSON.stringify({
+    rules,
+    overrides: await getPoolScoringOverrides(env, pool.id),
+    updated: result.meta.changes
+  }), { headers: corsHeaders });
+}
+
+async function handleCreateMeme(request, env, currentUser, corsHeaders, pool) {
+  if (!currentUser) {
+    return new Response(JSON.stringify({ error: 'Authentication required' }), 
+      { status: 401, headers: corsHeaders });
+  }
+  
+  const { content, force = false, tags: requestedTags = [] } = await request.json().catch(() => ({}));
+  
+  if (typeof content !== 'string' || content.trim() === '') {
+    return new Response(JSON.stringify({ error: 'Content is required' }), 
+      { status: 400, headers: corsHeaders });
+  }
+
+  if (!Array.isArray(requestedTags) || !requestedTags.every(tag => typeof tag === 'string')) {
+    return new Response(JSON.stringify({ error: 'tags must be an array of strings' }), 
+      { status: 400, headers: corsHeaders });
+  }
+
+  const tags = normalizeTags(requestedTags);
+
+  if (!tags) {
+    return new Response(JSON.stringify({ error: TAG_RULES_ERROR }), 
+      { status: 400, headers: corsHeaders });
+  }
+
+  // Copies of the same idea split its fitness, so ask first; the client resubmits with force: true
+  if (force !== true) {
+    const matches = await findNearDuplicates(env, content, pool.id);
+
+    if (matches.length > 0) {
+      return new Response(JSON.stringify({
+        error: 'This looks like a meme that already exists',
+        code: 'possible_duplicate',
+        matches
+      }), { status: 409, headers: corsHeaders });
+    }
+  }
+
+  const authorLabel = '@' + currentUser.username;
+  const rules = await getScoringRules(env, pool.id);
+  
+  // Tags are created first so last_insert_rowid() still chains meme -> version -> tag links
+  const [, result] = await env.DB.batch([
+    env.DB.prepare(`
+      INSERT INTO tags (name, created_at)
+      SELECT value, datetime('now') FROM json_each(?) WHERE true
+      ON CONFLICT(name) DO NOTHING
+    `).bind(JSON.stringify(tags)),
+    env.DB.prepare(`
+      INSERT INTO memes (content, author, user_id, pool_id, score, version, created_at)
+      VALUES (?, ?, ?, ?, ?, 1, datetime('now'))
+    `).bind(content.trim(), authorLabel, currentUser.id, pool.id, rules.base),
+    env.DB.prepare(`
+      INSERT INTO meme_versions (meme_id, version, content, created_at)
+      VALUES (last_insert_rowid(), 1, ?, datetime('now'))
+    `).bind(content.trim()),
+    env.DB.prepare(`
+      INSERT INTO meme_tags (meme_id, tag_id, created_at)
+      SELECT v.meme_id, t.id, datetime('now')
+      FROM meme_versions v JOIN tags t ON t.name IN (SELECT value FROM json_each(?))
+      WHERE v.id = last_insert_rowid()
+    `).bind(JSON.stringify(tags))
+  ]);
+  
+  return new Response(JSON.stringify({ 
+    success: true, 
+    id: result.meta.last_row_id,
+    tags
+  }), { headers: corsHeaders });
+}
+
+const DUPLICATE_SHINGLE_SIZE = 3;
+const DUPLICATE_SIMILARITY_THRESHOLD = 0.5;
+const DUPLICATE_SHORTLIST_SIZE = 25;
+const MAX_DUPLICATE_MATCHES = 3;
+
+function normalizeWords(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Overlapping word k-grams; a text shorter than k is a single shingle of all its words
+function wordShingles(words) {
+  const size = Math.min(DUPLICATE_SHINGLE_SIZE, words.length);
+  const shingles = new Set();
+
+  for (let index = 0; index + size <= words.length; index++) {
+    shingles.add(words.slice(index, index + size).join(' '));
+  }
+
+  return shingles;
+}
+
+function jaccardSimilarity(a, b) {
+  let shared = 0;
+  for (const shingle of a) {
+    if (b.has(shingle)) {
+      shared++;
+    }
+  }
+
+  const union = a.size + b.size - shared;
+  return union === 0 ? 0 : shared / union;
+}
+
+// The search index shortlists memes sharing any of the longest words; shingle overlap decides
+async function findNearDuplicates(env, content, poolId) {
+  const words = normalizeWords(content);
+
+  if (words.length === 0) {
+    return [];
+  }
+
+  const terms = [...new Set(words)].sort((a, b) => b.length - a.length).slice(0, MAX_SEARCH_TERMS);
+  const candidates = await env.DB.prepare(`
+    SELECT m.*, u.name as author_name, u.username as author_username, u.display_preference as author_display_preference
+    FROM memes_fts
+    JOIN memes m ON m.id = memes_fts.rowid
+    LEFT JOIN users u ON m.user_id = u.id
+    WHERE memes_fts MATCH ? AND m.hidden_at IS NULL AND m.pool_id = ?
+    ORDER BY bm25(memes_fts)
+    LIMIT ?
+  `).bind(terms.map(term => `"${term}"`).join(' OR '), poolId, DUPLICATE_SHORTLIST_SIZE).all();
+
+  const target = wordShingles(words);
+
+  return (candidates.results || [])
+    .map(row => ({
+      meme: toPublicMeme(row),
+      similarity: Math.round(jaccardSimilarity(target, wordShingles(normalizeWords(row.content))) * 100) / 100
+    }))
+    .filter(match => match.similarity >= DUPLICATE_SIMILARITY_THRESHOLD)
+    .sort((a, b) => b.similarity - a.similarity || b.meme.score - a.meme.score)
+    .slice(0, MAX_DUPLICATE_MATCHES);
+}
+
+async function handleUpdateMeme(request, env, currentUser, corsHeaders, pool, memeId) {
+  if (!currentUser) {
+    return new Response(JSON.stringify({ error: 'Authentication required' }), 
+      { status: 401, headers: corsHeaders });
+  }
+
+  const meme = await env.DB.prepare('SELECT id, user_id, content, version FROM memes WHERE id = ? AND hidden_at IS NULL AND pool_id = ?')
+    .bind(memeId, pool.id).first();
+
+  if (!meme) {
+    return new Response(JSON.stringify({ error: 'Meme not found' }), 
+      { status: 404, headers: corsHeaders });
+  }
+
+  if (meme.user_id !== currentUser.id) {
+    return new Response(JSON.stringify({ error: 'Only the author can edit this meme' }), 
+      { status: 403, headers: corsHeaders });
+  }
+
+  const { content, expected_version } = await request.json();
+  const trimmed = typeof content === 'string' ? content.trim() : '';
+
+  if (!trimmed) {
+    return new Response(JSON.stringify({ error: 'Content is required' }), 
+      { status: 400, headers: corsHeaders });
+  }
+
+  if (trimmed === meme.content) {
+    return new Response(JSON.stringify({ success: true, version: meme.version }), { headers: corsHeaders });
+  }
+
+  const baseVersion = expected_version === undefined || expected_version === null ? meme.version : Number(expected_version);
+
+  const results = await env.DB.batch([
+    env.DB.prepare(`
+      UPDATE memes SET content = ?, version = version + 1, updated_at = datetime('now')
+      WHERE id = ? AND version = ?
+    `).bind(trimmed, meme.id, baseVersion),
+    env.DB.prepare(`
+      INSERT INTO meme_versions (meme_id, version, content, created_at)
+      SELECT id, version, content, updated_at FROM memes WHERE id = ? AND changes() > 0
+    `).bind(meme.id)
+  ]);
+
+  if (!results[0].meta.changes) {
+    return new Response(JSON.stringify({ error: 'This meme was edited elsewhere. Reload to see the latest version.' }), 
+      { status: 409, headers: corsHeaders });
+  }
+
+  return new Response(JSON.stringify({ success: true, version: baseVersion + 1 }), { headers: corsHeaders });
+}
+
+async function handleCreateInteraction(request, env, currentUser, corsHeaders, pool) {
+  if (!currentUser) {
+    return new Response(JSON.stringify({ error: 'Authentication required' }), 
+      { status: 401, headers: corsHeaders });
+  }
+  
+  const { meme_id, type, comment = '', refined_content = '', meme_version } = await request.json().catch(() => ({}));
+  
+  if (!meme_id || !type || !['refute', 'refine', 'praise'].includes(type)) {
+    return new Response(JSON.stringify({ error: 'Invalid interaction data' }), 
+      { status: 400, headers: corsHeaders });
+  }
+
+  if (typeof comment !== 'string' || typeof refined_content !== 'string') {
+    return new Response(JSON.stringify({ error: 'comment and refined_content must be strings' }), 
+      { status: 400, headers: corsHeaders });
+  }
+
+  // Interactions aimed at a merged duplicate land on the meme it was merged into
+  const meme = await env.DB.prepare(`
+    SELECT id, content, version FROM memes
+    WHERE id = COALESCE((SELECT merged_into FROM memes WHERE id = ?), ?) AND hidden_at IS NULL AND pool_id = ?
+  `).bind(meme_id, meme_id, pool.id).first();
+
+  if (!meme) {
+    return new Response(JSON.stringify({ error: 'Meme not found' }), 
+      { status: 404, headers: corsHeaders });
+  }
+
+  // Don't let a response written against an older wording land on the new one unnoticed
+  // (a version of a merged duplicate says nothing about the survivor's wording, so it isn't checked)
+  if (meme.id === Number(meme_id) && meme_version !== undefined && meme_version !== null && Number(meme_version) !== meme.version) {
+    return new Response(JSON.stringify({
+      error: 'This meme was edited since you loaded it. Review the new wording and try again.',
+      current_version: meme.version
+    }), { status: 409, headers: corsHeaders });
+  }
+
+  // A refinement with new wording spawns a descendant meme that competes on its own
+  const refinedContent = type === 'refine' ? refined_content.trim() : '';
+
+  if (refinedContent && refinedContent === meme.content.trim()) {
+    return new Response(JSON.stringify({ error: 'Refined wording must differ from the original' }), 
+      { status: 400, headers: corsHeaders });
+  }
+  
+  const rules = await getScoringRules(env, pool.id);
+  // The weight is fixed when the interaction is made, so later reputation changes never rewrite old scores
+  const weight = await getInteractionWeight(env, currentUser);
+  const statements = [];
+
+  if (refinedContent) {
+    const authorLabel = '@' + currentUser.username;
+    statements.push(env.DB.prepare(`
+      INSERT INTO memes (content, author, user_id, parent_id, pool_id, score, version, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, 1, datetime('now'))
+    `).bind(refinedContent, authorLabel, currentUser.id, meme.id, pool.id, rules.base));
+  }
+
+  // The interaction and its score change commit together; the unique index on
+  // (meme_id, user_id, type) rejects duplicates even when requests race.
+  // meme_version is read inside the insert so it names the wording actually current at commit.
+  statements.push(env.DB.prepare(`
+    INSERT INTO interactions (meme_id, user_id, type, comment, spawned_meme_id, meme_version, weight, created_at)
+    VALUES (?, ?, ?, ?, ${refinedContent ? 'last_insert_rowid()' : 'NULL'}, (SELECT version FROM memes WHERE id = ?), ?, datetime('now'))
+  `).bind(meme.id, currentUser.id, type, comment.trim(), meme.id, weight));
+
+  if (refinedContent) {
+    statements.push(env.DB.prepare(`
+      INSERT INTO meme_versions (meme_id, version, content, created_at)
+      SELECT spawned_meme_id, 1, ?, datetime('now') FROM interactions WHERE id = last_insert_rowid()
+    `).bind(refinedContent));
+    // A refinement stays on its parent's topics
+    statements.push(env.DB.prepare(`
+      INSERT INTO meme_tags (meme_id, tag_id, created_at)
+      SELECT v.meme_id, mt.tag_id, datetime('now')
+      FROM meme_versions v JOIN meme_tags mt ON mt.meme_id = ?
+      WHERE v.id = last_insert_rowid()
+    `).bind(meme.id));
+  }
+
+  statements.push(env.DB.prepare(`
+    UPDATE memes SET score = score + CAST(ROUND(? * ?) AS INTEGER) WHERE id = ?
+  `).bind(rules[type], weight, meme.id));
+
+  let results;
+  try {
+    results = await env.DB.batch(statements);
+  } catch (error) {
+    if (isUniqueConstraintError(error)) {
+      return new Response(JSON.stringify({ error: 'You already have this type of interaction with this meme' }), 
+        { status: 400, headers: corsHeaders });
+    }
+    throw error;
+  }
+
+  const spawnedMemeId = refinedContent ? results[0].meta.last_row_id : null;
+  
+  return new Response(JSON.stringify({ success: true, spawned_meme_id: spawnedMemeId, weight }), { headers: corsHeaders });
+}
+
+async function getOwnInteraction(env, currentUser, corsHeaders, pool, interactionId) {
+  if (!currentUser) {
+    return {
+      error: new Response(JSON.stringify({ error: 'Authentication required' }), 
+        { status: 401, headers: corsHeaders })
+    };
+  }
+
+  const interaction = await env.DB.prepare(`
+    SELECT i.* FROM interactions i
+    JOIN memes m ON m.id = i.meme_id
+    WHERE i.id = ? AND i.retracted_at IS NULL AND i.hidden_at IS NULL AND m.pool_id = ?
+  `).bind(interactionId, pool.id).first();
+
+  if (!interaction) {
+    return {
+      error: new Response(JSON.stringify({ error: 'Interaction not found' }), 
+        { status: 404, headers: corsHeaders })
+    };
+  }
+
+  if (interaction.user_id !== currentUser.id) {
+    return {
+      error: new Response(JSON.stringify({ error: 'You can only change your own interactions' }), 
+        { status: 403, headers: corsHeaders })
+    };
+  }
+
+  return { interaction };
+}
+
+async function handleUpdateInteraction(request, env, currentUser, corsHeaders, pool, interactionId) {
+  const { interaction, error } = await getOwnInteraction(env, currentUser, corsHeaders, pool, interactionId);
+  if (error) {
+    return error;
+  }
+
+  const body = await request.json();
+  const type = body.type === undefined ? interaction.type : body.type;
+  const comment = typeof body.comment === 'string' ? body.comment.trim() : (interaction.comment || '');
+
+  if (!['refute', 'refine', 'praise'].includes(type)) {
+    return new Response(JSON.stringify({ error: 'Invalid interaction data' }), 
+      { status: 400, headers: corsHeaders });
+  }
+
+  if (type === interaction.type && comment === (interaction.comment || '')) {
+    return new Response(JSON.stringify({ success: true, interaction }), { headers: corsHeaders });
+  }
+
+  const rules = await getScoringRules(env, pool.id);
+
+  // Each statement only applies if the row still holds the values we read, so a concurrent
+  // edit or withdrawal can't double-apply the score adjustment
+  let results;
+  try {
+    results = await env.DB.batch([
+      env.DB.prepare(`
+        INSERT INTO interaction_edits (interaction_id, user_id, action, previous_type, previous_comment, new_type, new_comment, created_at)
+        SELECT id, user_id, 'edit', type, comment, ?, ?, datetime('now')
+        FROM interactions
+        WHERE id = ? AND retracted_at IS NULL AND hidden_at IS NULL AND type = ? AND comment IS ?
+      `).bind(type, comment, interaction.id, interaction.type, interaction.comment),
+      // Editing re-states the interaction, so it now applies to the meme's current wording
+      env.DB.prepare(`
+        UPDATE interactions
+        SET type = ?, comment = ?, updated_at = datetime('now'),
+          meme_version = (SELECT version FROM memes WHERE id = interactions.meme_id)
+        WHERE id = ? AND retracted_at IS NULL AND hidden_at IS NULL AND type = ? AND comment IS ?
+      `).bind(type, comment, interaction.id, interaction.type, interaction.comment),
+      env.DB.prepare(`
+        UPDATE memes SET score = score + CAST(ROUND(?1 * ?2) AS INTEGER) - CAST(ROUND(?3 * ?2) AS INTEGER)
+        WHERE id = ?4 AND changes() > 0
+      `).bind(rules[type], interaction.weight, rules[interaction.type], interaction.meme_id)
+    ]);
+  } catch (error) {
+    if (isUniqueConstraintError(error)) {
+      return new Response(JSON.stringify({ error: 'You already have this type of interaction with this meme' }), 
+        { status: 400, headers: corsHeaders });
+    }
+    throw error;
+  }
+
+  if (!results[1].meta.changes) {
+    return new Response(JSON.stringify({ error: 'Interaction changed while you were editing it. Reload and try again.' }), 
+      { status: 409, headers: corsHeaders });
+  }
+
+  const updated = await env.DB.prepare('SELECT * FROM interactions WHERE id = ?').bind(interaction.id).first();
+
+  return new Response(JSON.stringify({ success: true, interaction: updated }), { headers: corsHeaders });
+}
+
+async function handleRetractInteraction(env, currentUser, corsHeaders, pool, interactionId) {
+  const { interaction, error } = await getOwnInteraction(env, currentUser, corsHeaders, pool, interactionId);
+  if (error) {
+    return error;
+  }
+
+  const rules = await getScoringRules(env, pool.id);
+
+  // Withdrawn interactions stay in the table (and the edit log) but drop out of the ledger
+  const results = await env.DB.batch([
+    env.DB.prepare(`
+      INSERT INTO interaction_edits (interaction_id, user_id, action, previous_type, previous_comment, created_at)
+      SELECT id, user_id, 'retract', type, comment, datetime('now')
+      FROM interactions
+      WHERE id = ? AND retracted_at IS NULL AND hidden_at IS NULL
+    `).bind(interaction.id),
+    env.DB.prepare(`
+      UPDATE interactions SET retracted_at = datetime('now') WHERE id = ? AND retracted_at IS NULL AND hidden_at IS NULL
+    `).bind(interaction.id),
+    env.DB.prepare(`
+      UPDATE memes SET score = score - CAST(ROUND(? * ?) AS INTEGER) WHERE id = ? AND changes() > 0
+    `).bind(rules[interaction.type], interaction.weight, interaction.meme_id)
+  ]);
+
+  if (!results[1].meta.changes) {
+    return new Response(JSON.stringify({ error: 'Interaction not found' }), 
+      { status: 404, headers: corsHeaders });
+  }
+
+  return new Response(JSON.stringify({ success: true }), { headers: corsHeaders });
+}
+
+function isUniqueConstraintError(error) {
+  const message = `${error?.message || ''} ${error?.cause?.message || ''}`;
+  return /UNIQUE constraint failed/i.test(message);
+}
+
+const IDEMPOTENCY_KEY_TTL = '-1 day';
+// A claim whose request never finished (the isolate died mid-handler) stops blocking the key after this
+const IDEMPOTENCY_CLAIM_LEASE = '-1 minute';
+
+// Replays the stored response when a client retries with the same Idempotency-Key.
+// Keys are scoped per user (anonymous callers share one scope) and expire after a day.
+// Routes rate-limit inside the handler, so replaying a stored response doesn't spend budget.
+async function withIdempotency(request, env, currentUser, corsHeaders, handler) {
+  const key = request.headers.get('Idempotency-Key');
+
+  if (!key) {
+    return handler();
+  }
+
+  if (key.length > 255) {
+    return new Response(JSON.stringify({ error: 'Idempotency-Key must be at most 255 characters' }), 
+      { status: 400, headers: corsHeaders });
+  }
+
+  const scope = currentUser ? `user:${currentUser.id}` : 'anonymous';
+  const path = new URL(request.url).pathname;
+  const fingerprint = await sha256Hex(`${request.method} ${path}\n${await request.clone().text()}`);
+
+  await env.DB.prepare(`
+    DELETE FROM idempotency_keys
+    WHERE created_at < datetime('now', ?) OR (status IS NULL AND created_at < datetime('now', ?))
+  `).bind(IDEMPOTENCY_KEY_TTL, IDEMPOTENCY_CLAIM_LEASE).run();
+
+  const claim = await env.DB.prepare(`
+    INSERT INTO idempotency_keys (scope, key, fingerprint, created_at)
+    VALUES (?, ?, ?, datetime('now'))
+    ON CONFLICT(scope, key) DO NOTHING
+  `).bind(scope, key, fingerprint).run();
+
+  if (!claim.meta.changes) {
+    const existing = await env.DB.prepare(`
+      SELECT fingerprint, status, response_body FROM idempotency_keys WHERE scope = ? AND key = ?
+    `).bind(scope, key).first();
+
+    if (existing && existing.fingerprint !== fingerprint) {
+      return new Response(JSON.stringify({ error: 'Idempotency-Key was already used for a different request' }), 
+        { status: 422, headers: corsHeaders });
+    }
+
+    if (!existing || existing.status === null) {
+      return new Response(JSON.stringify({ error: 'A request with this Idempotency-Key is still in progress' }), 
+        { status: 409, headers: corsHeaders });
+    }
+
+    return new Response(existing.response_body, {
+      status: existing.status,
+      headers: { ...corsHeaders, 'Idempotent-Replayed': 'true' }
+    });
+  }
+
+  const release = () => env.DB.prepare('DELETE FROM idempotency_keys WHERE scope = ? AND key = ?')
+    .bind(scope, key)
+    .run();
+
+  let response;
+  try {
+    response = await handler();
+  } catch (error) {
+    await release();
+    throw error;
+  }
+
+  // Server errors and rate-limit rejections are not remembered so the client can retry them with the same key
+  if (response.status >= 500 || response.status === 429) {
+    await release();
+    return response;
+  }
+
+  await env.DB.prepare(`
+    UPDATE idempotency_keys SET status = ?, response_body = ? WHERE scope = ? AND key = ?
+  `).bind(response.status, await response.clone().text(), scope, key).run();
+
+  return response;
+}
+
+async function sha256Hex(input) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(input));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const INTERACTION_PREVIEW_LIMIT = 3;
+
+// Every mode ranks by a single sort_key (ties broken by id). "hot" depends on the clock, so the
+// reference time it was ranked at travels with the feed.
+const MEME_SORTS = {
+  fitness: 'm.score',
+  new: 'm.created_at',
+  active: 'COALESCE(s.last_interaction_at, m.created_at)',
+  controversial: `CASE WHEN COALESCE(s.refute_count, 0) = 0 OR COALESCE(s.praise_count, 0) = 0 THEN 0
+    ELSE (s.refute_count + s.praise_count) * MIN(s.refute_count, s.praise_count) * 1.0 / MAX(s.refute_count, s.praise_count) END`,
+  hot: `MAX(m.score, 0) * 1.0 / (
+    ((julianday(?) - julianday(m.created_at)) * 24 + 2) * ((julianday(?) - julianday(m.created_at)) * 24 + 2))`
+};
+const DEFAULT_MEME_SORT = 'fitness';
+
+// A feed longer than one page is pinned: its ranking is stored when the first page is served and
+// later pages read it by position, so scores and activity moving in between can't repeat or skip
+// a meme. A snapshot holds at most FEED_SNAPSHOT_MAX_MEMES; the next one is ranked when it runs out.
+const FEED_SNAPSHOT_MAX_MEMES = 500;
+const FEED_SNAPSHOT_TTL_SECONDS = 30 * 60;
+
+async function handleListMemes(request, env, corsHeaders, pool) {
+  const url = new URL(request.url);
+  const limit = parsePageLimit(url.searchParams.get('limit'));
+  const sort = url.searchParams.get('sort') || DEFAULT_MEME_SORT;
+  const cursorParam = url.searchParams.get('cursor');
+  const tagParam = url.searchParams.get('tag');
+  const tag = tagParam ? tagParam.trim().toLowerCase() : null;
+  let cursor = null;
+
+  if (!Object.prototype.hasOwnProperty.call(MEME_SORTS, sort)) {
+    return new Response(JSON.stringify({ error: 'Unknown sort. Use one of: ' + Object.keys(MEME_SORTS).join(', ') }), {
+      status: 400,
+      headers: corsHeaders
+    });
+  }
+
+  if (tag !== null && !TAG_PATTERN.test(tag)) {
+    return new Response(JSON.stringify({ error: 'Unknown tag' }), {
+      status: 400,
+      headers: corsHeaders
+    });
+  }
+
+  if (cursorParam) {
+    cursor = decodeCursor(cursorParam);
+    const pinned = cursor && typeof cursor.snapshot === 'string' && Number.isInteger(cursor.position);
+    const resumed = cursor && cursor.key !== undefined && typeof cursor.id === 'number' && typeof cursor.now === 'string';
+    if (!cursor || cursor.pool !== pool.slug || cursor.sort !== sort || (cursor.tag || null) !== tag || !(pinned || resumed)) {
+      return new Response(JSON.stringify({ error: 'Invalid cursor' }), {
+        status: 400,
+        headers: corsHeaders
+      });
+    }
+  }
+
+  let snapshot = null;
+  let position = 0;
+
+  if (cursor && cursor.snapshot) {
+    snapshot = await env.DB.prepare(`
+      SELECT * FROM feed_snapshots
+      WHERE id = ? AND pool_id = ? AND sort = ? AND tag IS ? AND created_at >= ?
+    `).bind(cursor.snapshot, pool.id, sort, tag, Math.floor(Date.now() / 1000) - FEED_SNAPSHOT_TTL_SECONDS).first();
+
+    if (!snapshot) {
+      return new Response(JSON.stringify({ error: 'This feed has expired. Reload it to keep paging.', code: 'cursor_expired' }), {
+        status: 400,
+        headers: corsHeaders
+      });
+    }
+    position = cursor.position;
+  } else {
+    // A feed that fits on one page is served as is; anything longer gets pinned first
+    const now = cursor ? cursor.now : new Date().toISOString();
+    const after = cursor ? { key: cursor.key, id: cursor.id } : null;
+    const ranked = rankedMemesQuery(pool, sort, tag, now);
+    const where = after ? 'WHERE sort_key < ? OR (sort_key = ? AND id < ?)' : '';
+    const afterBindings = after ? [after.key, after.key, after.id] : [];
+    const page = await env.DB.prepare(`
+      SELECT * FROM (${ranked.sql}) ranked
+      ${where}
+      ORDER BY sort_key DESC, id DESC
+      LIMIT ?
+    `).bind(...ranked.bindings, ...afterBindings, limit + 1).all();
+    const rows = page.results || [];
+
+    if (rows.length <= limit) {
+      await attachInteractionPreviews(env, rows);
+      await attachTags(env, rows);
+      return new Response(JSON.stringify({ memes: rows.map(toPublicMeme), next_cursor: null }), { headers: corsHeaders });
+    }
+
+    snapshot = await createFeedSnapshot(env, pool, sort, tag, now, after);
+  }
+
+  const ranked = rankedMemesQuery(pool, null, tag);
+  const page = await env.DB.prepare(`
+    SELECT ranked.*, fsm.position as snapshot_position
+    FROM feed_snapshot_memes fsm
+    JOIN (${ranked.sql}) ranked ON ranked.id = fsm.meme_id
+    WHERE fsm.snapshot_id = ? AND fsm.position > ?
+    ORDER BY fsm.position
+    LIMIT ?
+  `).bind(...ranked.bindings, snapshot.id, position, limit + 1).all();
+
+  const rows = page.results || [];
+  const hasMore = rows.length > limit;
+  const memes = hasMore ? rows.slice(0, limit) : rows;
+
+  await attachInteractionPreviews(env, memes);
+  await attachTags(env, memes);
+
+  const base = { pool: pool.slug, sort, tag: tag || undefined };
+  let nextCursor = null;
+  if (hasMore) {
+    nextCursor = encodeCursor({ ...base, snapshot: snapshot.id, position: memes[memes.length - 1].snapshot_position });
+  } else if (snapshot.meme_count >= FEED_SNAPSHOT_MAX_MEMES) {
+    // The snapshot ran out before the feed did: carry on after its last meme in a fresh ranking
+    nextCursor = encodeCursor({ ...base, key: snapshot.last_sort_key, id: snapshot.last_meme_id, now: snapshot.ranked_at });
+  }
+
+  return new Response(JSON.stringify({ memes: memes.map(toPublicMeme), next_cursor: nextCursor }), { headers: corsHeaders });
+}
+
+// The visible memes of a pool (optionally one tag) with their interaction counts; sort_key is
+// only computed when a sort is given
+function rankedMemesQuery(pool, sort, tag, now) {
+  const sortBindings = sort === 'hot' ? [now, now] : [];
+
+  return {
+    sql: `
+      SELECT m.*, u.name as author_name, u.username as author_username, u.display_preference as author_display_preference,
+        COALESCE(s.interaction_count, 0) as interaction_count,
+        COALESCE(s.refute_count, 0) as refute_count,
+        COALESCE(s.refine_count, 0) as refine_count,
+        COALESCE(s.praise_count, 0) as praise_count,
+        s.last_interaction_at,
+        ${sort ? MEME_SORTS[sort] : 'NULL'} as sort_key
+      FROM memes m
+      LEFT JOIN users u ON m.user_id = u.id
+      LEFT JOIN (
+        SELECT meme_id,
+          COUNT(*) as interaction_count,
+          SUM(CASE WHEN type = 'refute' THEN 1 ELSE 0 END) as refute_count,
+          SUM(CASE WHEN type = 'refine' THEN 1 ELSE 0 END) as refine_count,
+          SUM(CASE WHEN type = 'praise' THEN 1 ELSE 0 END) as praise_count,
+          MAX(created_at) as last_interaction_at
+        FROM interactions
+        WHERE retracted_at IS NULL AND hidden_at IS NULL
+        GROUP BY meme_id
+      ) s ON s.meme_id = m.id
+      WHERE m.hidden_at IS NULL AND m.pool_id = ?
+        ${tag ? 'AND m.id IN (SELECT mt.meme_id FROM meme_tags mt JOIN tags t ON t.id = mt.tag_id WHERE t.name = ?)' : ''}`,
+    bindings: [...sortBindings, pool.id, ...(tag ? [tag] : [])]
+  };
+}
+
+// Stores the ranking of up to FEED_SNAPSHOT_MAX_MEMES memes (after a given one, if any) in one batch
+async function createFeedSnapshot(env, pool, sort, tag, now, after) {
+  const id = bytesToBase64Url(crypto.getRandomValues(new Uint8Array(16)));
+  const createdAt = Math.floor(Date.now() / 1000);
+  const ranked = rankedMemesQuery(pool, sort, tag, now);
+  const where = after ? 'WHERE sort_key < ? OR (sort_key = ? AND id < ?)' : '';
+  const afterBindings = after ? [after.key, after.key, after.id] : [];
+
+  await env.DB.batch([
+    env.DB.prepare(`
+      DELETE FROM feed_snapshot_memes
+      WHERE snapshot_id IN (SELECT id FROM feed_snapshots WHERE created_at < ?)
+    `).bind(createdAt - FEED_SNAPSHOT_TTL_SECONDS),
+    env.DB.prepare('DELETE FROM feed_snapshots WHERE created_at < ?').bind(createdAt - FEED_SNAPSHOT_TTL_SECONDS),
+    env.DB.prepare(`
+      INSERT INTO feed_snapshot_memes (snapshot_id, position, meme_id, sort_key)
+      SELECT ?, ROW_NUMBER() OVER (ORDER BY sort_key DESC, id DESC), id, sort_key
+      FROM (
+        SELECT * FROM (${ranked.sql}) ranked
+        ${where}
+        ORDER BY sort_key DESC, id DESC
+        LIMIT ?
+      )
+    `).bind(id, ...ranked.bindings, ...afterBindings, FEED_SNAPSHOT_MAX_MEMES),
+    env.DB.prepare(`
+      INSERT INTO feed_snapshots (id, pool_id, sort, tag, ranked_at, meme_count, last_meme_id, last_sort_key, created_at)
+      SELECT ?1, ?2, ?3, ?4, ?5, COUNT(*),
+        (SELECT meme_id FROM feed_snapshot_memes WHERE snapshot_id = ?1 ORDER BY position DESC LIMIT 1),
+        (SELECT sort_key FROM feed_snapshot_memes WHERE snapshot_id = ?1 ORDER BY position DESC LIMIT 1),
+        ?6
+      FROM feed_snapshot_memes WHERE snapshot_id = ?1
+    `).bind(id, pool.id, sort, tag, now, createdAt)
+  ]);
+
+  return env.DB.prepare('SELECT * FROM feed_snapshots WHERE id = ?').bind(id).first();
+}
+
+const MAX_SEARCH_TERMS = 10;
+const SEARCH_SNIPPET_TOKENS = 24;
+// Control characters can't be typed into a meme, so they safely mark highlight boundaries in snippets
+const SEARCH_MATCH_START = '\u0002';
+const SEARCH_MATCH_END = '\u0003';
+
+// Turns free text into an FTS5 query: every term is quoted so operators in user input are inert,
+// all terms must match, and the last one also matches as a prefix while the user is still typing
+function buildSearchQuery(text) {
+  const terms = (text.match(/[\p{L}\p{N}_]+/gu) || []).slice(0, MAX_SEARCH_TERMS);
+
+  if (terms.length === 0) {
+    return null;
+  }
+
+  return terms.map((term, index) => `"${term}"` + (index === terms.length - 1 ? '*' : '')).join(' ');
+}
+
+// Splits a marked snippet into [{ text, match }] segments so clients never have to parse markers
+function splitSearchSnippet(snippet) {
+  const segments = [];
+  let rest = snippet || '';
+
+  while (rest) {
+    const start = rest.indexOf(SEARCH_MATCH_START);
+    if (start === -1) {
+      segments.push({ text: rest, match: false });
+      break;
+    }
+
+    const end = rest.indexOf(SEARCH_MATCH_END, start);
+    if (start > 0) {
+      segments.push({ text: rest.slice(0, start), match: false });
+    }
+    segments.push({ text: rest.slice(start + 1, end === -1 ? undefined : end), match: true });
+    rest = end === -1 ? '' : rest.slice(end + 1);
+  }
+
+  return segments;
+}
+
+async function handleSearch(request, env, corsHeaders, pool) {
+  const url = new URL(request.url);
+  const q = (url.searchParams.get('q') || '').trim();
+  const limit = parsePageLimit(url.searchParams.get('limit'));
+  const cursorParam = url.searchParams.get('cursor');
+  const query = buildSearchQuery(q);
+  let offset = 0;
+
+  if (!query) {
+    return new Response(JSON.stringify({ error: 'Search needs at least one word or number in q' }), 
+      { status: 400, headers: corsHeaders });
+  }
+
+  if (cursorParam) {
+    const cursor = decodeCursor(cursorParam);
+    if (!cursor || cursor.q !== q || cursor.pool !== pool.slug || !Number.isInteger(cursor.offset) || cursor.offset < 0) {
+      return new Response(JSON.stringify({ error: 'Invalid cursor' }), 
+        { status: 400, headers: corsHeaders });
+    }
+    offset = cursor.offset;
+  }
+
+  // bm25 is lower-is-better and comparable enough across the two indexes to rank them together
+  const page = await env.DB.prepare(`
+    SELECT * FROM (
+      SELECT 'meme' as kind, m.id as meme_id, NULL as interaction_id, NULL as interaction_type, NULL as meme_content,
+        snippet(memes_fts, 0, ?1, ?2, '…', ?3) as snippet, bm25(memes_fts) as rank,
+        m.score, m.created_at, m.user_id, m.author,
+        u.name as author_name, u.username as author_username, u.display_preference as author_display_preference
+      FROM memes_fts
+      JOIN memes m ON m.id = memes_fts.rowid
+      LEFT JOIN users u ON m.user_id = u.id
+      WHERE memes_fts MATCH ?4 AND m.hidden_at IS NULL AND m.pool_id = ?7
+      UNION ALL
+      SELECT 'interaction', i.meme_id, i.id, i.type, m.content,
+        snippet(interactions_fts, 0, ?1, ?2, '…', ?3), bm25(interactions_fts),
+        m.score, i.created_at, i.user_id, NULL,
+        u.name, u.username, u.display_preference
+      FROM interactions_fts
+      JOIN interactions i ON i.id = interactions_fts.rowid
+      JOIN memes m ON m.id = i.meme_id
+      LEFT JOIN users u ON i.user_id = u.id
+      WHERE interactions_fts MATCH ?4
+        AND i.retracted_at IS NULL AND i.hidden_at IS NULL AND m.hidden_at IS NULL AND m.pool_id = ?7
+    )
+    ORDER BY rank, created_at DESC
+    LIMIT ?5 OFFSET ?6
+  `).bind(SEARCH_MATCH_START, SEARCH_MATCH_END, SEARCH_SNIPPET_TOKENS, query, limit + 1, offset, pool.id).all();
+
+  const rows = page.results || [];
+  const hasMore = rows.length > limit;
+
+  const results = (hasMore ? rows.slice(0, limit) : rows).map(row => ({
+    kind: row.kind,
+    meme_id: row.meme_id,
+    interaction_id: row.interaction_id,
+    interaction_type: row.interaction_type,
+    meme_content: row.meme_content,
+    snippet: splitSearchSnippet(row.snippet),
+    score: row.score,
+    created_at: row.created_at,
+    author_username: row.author_username || null,
+    author_display: toPublicMeme(row).author_display
+  }));
+
+  return new Response(JSON.stringify({
+    results,
+    next_cursor: hasMore ? encodeCursor({ pool: pool.slug, q, offset: offset + limit }) : null
+  }), { headers: corsHeaders });
+}
+
+// Public projections: everything the API or pages say about memes, interactions and people goes
+// through these allowlists, so columns like users.email never leave the worker
+const PUBLIC_MEME_FIELDS = [
+  'id', 'content', 'score', 'version', 'created_at', 'updated_at', 'parent_id', 'user_id',
+  'interaction_count', 'refute_count', 'refine_count', 'praise_count', 'last_interaction_at', 'depth', 'tags'
+];
+const PUBLIC_INTERACTION_FIELDS = [
+  'id', 'meme_id', 'user_id', 'type', 'comment', 'meme_version', 'spawned_meme_id', 'merged_from', 'weight', 'created_at', 'updated_at'
+];
+const DISPLAY_PREFERENCES = ['handle', 'name'];
+
+function pickFields(row, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (row[field] !== undefined) {
+      picked[field] = row[field];
+    }
+  }
+  return picked;
+}
+
+// Names fall back to the email at signup, so anything that looks like an address is never shown
+function publicDisplayName(name, username, preference) {
+  const safeName = typeof name === 'string' && name.trim() && !name.includes('@') ? name.trim() : null;
+
+  if (preference === 'name' && safeName) {
+    return safeName;
+  }
+
+  return username ? '@' + username : safeName || 'Anonymous';
+}
+
+// The signed-in user's own view of their account; the only place their email is returned
+function ownProfile(user, env) {
+  return {
+    email: user.email,
+    role: getUserRole(user, env),
+    suspended: Boolean(user.suspended_at),
+    username: user.username,
+    name: user.name,
+    display_preference: user.display_preference || 'handle',
+    display_name: publicDisplayName(user.name, user.username, user.display_preference)
+  };
+}
+
+function toPublicMeme(row) {
+  const meme = pickFields(row, PUBLIC_MEME_FIELDS);
+  meme.author_username = row.author_username || null;
+  meme.author_display = row.user_id
+    ? publicDisplayName(row.author_name, row.author_username, row.author_display_preference)
+    : (row.author && !row.author.includes('@') ? row.author : 'Anonymous');
+
+  if (Array.isArray(row.interactions)) {
+    meme.interactions = row.interactions.map(toPublicInteraction);
+  }
+
+  return meme;
+}
+
+function toPublicInteraction(row) {
+  const interaction = pickFields(row, PUBLIC_INTERACTION_FIELDS);
+  interaction.user_username = row.user_username || null;
+  interaction.user_display = publicDisplayName(row.user_name, row.user_username, row.user_display_preference);
+  return interaction;
+}
+
+async function attachTags(env, memes) {
+  if (memes.length === 0) {
+    return;
+  }
+
+  const rows = await env.DB.prepare(`
+    SELECT mt.meme_id, t.name
+    FROM meme_tags mt
+    JOIN tags t ON t.id = mt.tag_id
+    WHERE mt.meme_id IN (SELECT value FROM json_each(?))
+    ORDER BY t.name
+  `).bind(JSON.stringify(memes.map(meme => meme.id))).all();
+
+  for (const meme of memes) {
+    meme.tags = [];
+  }
+
+  const byId = new Map(memes.map(meme => [meme.id, meme]));
+  for (const row of rows.results || []) {
+    byId.get(row.meme_id).tags.push(row.name);
+  }
+}
+
+// Tags in use on the pool's visible memes, most used first
+async function handleListTags(env, corsHeaders, pool) {
+  const result = await env.DB.prepare(`
+    SELECT t.name, COUNT(*) as meme_count
+    FROM tags t
+    JOIN meme_tags mt ON mt.tag_id = t.id
+    JOIN memes m ON m.id = mt.meme_id AND m.hidden_at IS NULL AND m.pool_id = ?
+    GROUP BY t.id
+    ORDER BY meme_count DESC, t.name
+    LIMIT 100
+  `).bind(pool.id).all();
+
+  return new Response(JSON.stringify({ tags: result.results || [] }), { headers: corsHeaders });
+}
+
+async function attachInteractionPreviews(env, memes) {
+  if (memes.length === 0) {
+    return;
+  }
+
+  // Latest few interactions for the whole page in a single query
+  const previews = await env.DB.prepare(`
+    SELECT * FROM (
+      SELECT i.*, u.name as user_name, u.username as user_username, u.display_preference as user_display_preference,
+        ROW_NUMBER() OVER (PARTITION BY i.meme_id ORDER BY i.created_at DESC, i.id DESC) as preview_rank
+      FROM interactions i
+      LEFT JOIN users u ON i.user_id = u.id
+      WHERE i.meme_id IN (SELECT value FROM json_each(?)) AND i.retracted_at IS NULL AND i.hidden_at IS NULL
+    )
+    WHERE preview_rank <= ?
+    ORDER BY meme_id, preview_rank
+  `).bind(JSON.stringify(memes.map(meme => meme.id)), INTERACTION_PREVIEW_LIMIT).all();
+
+  const byMeme = new Map();
+  for (const interaction of previews.results || []) {
+    delete interaction.preview_rank;
+    if (!byMeme.has(interaction.meme_id)) {
+      byMeme.set(interaction.meme_id, []);
+    }
+    byMeme.get(interaction.meme_id).push(interaction);
+  }
+
+  for (const meme of memes) {
+    meme.interactions = byMeme.get(meme.id) || [];
+  }
+}
+
+async function getMemeWithInteractions(env, memeId) {
+  const meme = await env.DB.prepare(`
+    SELECT m.*, u.name as author_name, u.username as author_username, u.display_preference as author_display_preference
+    FROM memes m
+    LEFT JOIN users u ON m.user_id = u.id
+    WHERE m.id = ? AND m.hidden_at IS NULL
+  `).bind(memeId).first();
+
+  if (!meme) {
+    return null;
+  }
+
+  const interactions = await env.DB.prepare(`
+    SELECT i.*, u.name as user_name, u.username as user_username, u.display_preference as user_display_preference
+    FROM interactions i
+    LEFT JOIN users u ON i.user_id = u.id
+    WHERE i.meme_id = ? AND i.retracted_at IS NULL AND i.hidden_at IS NULL
+    ORDER BY i.created_at DESC, i.id DESC
+  `).bind(memeId).all();
+
+  await attachTags(env, [meme]);
+  meme.interactions = interactions.results || [];
+  meme.interaction_count = meme.interactions.length;
+  meme.refute_count = meme.interactions.filter(interaction => interaction.type === 'refute').length;
+  meme.refine_count = meme.interactions.filter(interaction => interaction.type === 'refine').length;
+  meme.praise_count = meme.interactions.filter(interaction => interaction.type === 'praise').length;
+
+  return meme;
+}
+
+const MAX_LINEAGE_DEPTH = 50;
+
+async function getMemeLineage(env, memeId, poolId) {
+  const meme = await env.DB.prepare(`
+    SELECT m.id, m.content, m.score, m.parent_id, m.created_at, m.user_id, u.name as author_name, u.username as author_username, u.display_preference as author_display_preference, m.author
+    FROM memes m
+    LEFT JOIN users u ON m.user_id = u.id
+    WHERE m.id = ? AND m.hidden_at IS NULL AND m.pool_id = ?
+  `).bind(memeId, poolId).first();
+
+  if (!meme) {
+    return null;
+  }
+
+  // Hidden memes are dropped from the result, but the walk still passes through them
+  const [ancestors, descendants] = await env.DB.batch([
+    env.DB.prepare(`
+      WITH RECURSIVE chain(id, parent_id, depth) AS (
+        SELECT id, parent_id, 0 FROM memes WHERE id = ?
+        UNION ALL
+        SELECT m.id, m.parent_id, chain.depth + 1
+        FROM memes m JOIN chain ON m.id = chain.parent_id
+        WHERE chain.depth < ?
+      )
+      SELECT m.id, m.content, m.score, m.parent_id, m.created_at, m.user_id, u.name as author_name, u.username as author_username, u.display_preference as author_display_preference, m.author, chain.depth
+      FROM chain
+      JOIN memes m ON m.id = chain.id
+      LEFT JOIN users u ON m.user_id = u.id
+      WHERE chain.depth > 0 AND m.hidden_at IS NULL
+      ORDER BY chain.depth DESC
+    `).bind(memeId, MAX_LINEAGE_DEPTH),
+    env.DB.prepare(`
+      WITH RECURSIVE tree(id, depth) AS (
+        SELECT id, 0 FROM memes WHERE id = ?
+        UNION ALL
+        SELECT m.id, tree.depth + 1
+        FROM memes m JOIN tree ON m.parent_id = tree.id
+        WHERE tree.depth < ?
+      )
+      SELECT m.id, m.content, m.score, m.parent_id, m.created_at, m.user_id, u.name as author_name, u.username as author_username, u.display_preference as author_display_preference, m.author, tree.depth
+      FROM tree
+      JOIN memes m ON m.id = tree.id
+      LEFT JOIN users u ON m.user_id = u.id
+      WHERE tree.depth > 0 AND m.hidden_at IS NULL
+      ORDER BY tree.depth, m.score DESC, m.id
+    `).bind(memeId, MAX_LINEAGE_DEPTH)
+  ]);
+
+  const ancestorRows = ancestors.results || [];
+  const descendantRows = descendants.results || [];
+  const fittest = [...ancestorRows, meme, ...descendantRows]
+    .reduce((best, candidate) => (!best || candidate.score > best.score ? candidate : best), null);
+
+  return {
+    meme: toPublicMeme(meme),
+    ancestors: ancestorRows.map(toPublicMeme),
+    descendants: descendantRows.map(toPublicMeme),
+    fittest_id: fittest.id
+  };
+}
+
+async function handleMemePage(request, env, memeId) {
+  const meme = await getMemeWithInteractions(env, memeId);
+  const user = await getUserFromRequest(request, env);
+  const pool = meme ? await getPool(env, 'id', meme.pool_id, user) : null;
+
+  if (!meme || !pool || !canViewPool(pool, user, env)) {
+    const survivorId = meme ? null : await getMergeSurvivorId(env, memeId);
+    if (survivorId) {
+      return new Response(null, { status: 301, headers: { 'Location': `/m/${survivorId}` } });
+    }
+    return new Response('Not Found', { status: 404 });
+  }
+
+  return htmlResponse(getMemePageHTML(toPublicMeme(meme), env, pool));
+}
+
+const PROFILE_MEME_LIMIT = 50;
+const PROFILE_INTERACTION_LIMIT = 20;
+
+// Pools whose content the viewer may see; profiles never reveal activity in members-only pools to outsiders
+async function getVisiblePoolIds(env, viewer) {
+  const rows = await env.DB.prepare(`
+    SELECT p.id FROM pools p
+    WHERE p.visibility != 'members_only' OR ?
+      OR EXISTS (SELECT 1 FROM pool_members pm WHERE pm.pool_id = p.id AND pm.user_id = ?)
+  `).bind(isAdmin(viewer, env) ? 1 : 0, viewer ? viewer.id : null).all();
+  return (rows.results || []).map(row => row.id);
+}
+
+// Public stats for a handle, counted over visible memes and active interactions only
+async function getPublicProfile(env, username, viewer) {
+  const user = await env.DB.prepare(`
+    SELECT id, username, name, display_preference, created_at FROM users WHERE username = ?
+  `).bind(username).first();
+
+  if (!user) {
+    return null;
+  }
+
+  const poolIds = await getVisiblePoolIds(env, viewer);
+  const stats = await env.DB.prepare(`
+    WITH visible_memes AS (
+      SELECT id, user_id, score FROM memes
+      WHERE hidden_at IS NULL AND pool_id IN (SELECT value FROM json_each(?2))
+    ),
+    refutes AS (
+      SELECT i.user_id, m.user_id as author_id
+      FROM interactions i JOIN visible_memes m ON m.id = i.meme_id
+      WHERE i.type = 'refute' AND i.retracted_at IS NULL AND i.hidden_at IS NULL
+    )
+    SELECT
+      (SELECT COUNT(*) FROM visible_memes WHERE user_id = ?1) as memes_authored,
+      (SELECT COALESCE(SUM(score), 0) FROM visible_memes WHERE user_id = ?1) as total_fitness,
+      (SELECT COUNT(*) FROM refutes WHERE user_id = ?1) as refutes_given,
+      (SELECT COUNT(*) FROM refutes WHERE author_id = ?1) as refutes_received
+  `).bind(user.id, JSON.stringify(poolIds)).first();
+  const reputation = await getReputation(env, user);
+
+  return {
+    id: user.id,
+    poolIds,
+    profile: {
+      username: user.username,
+      display_name: publicDisplayName(user.name, user.username, user.display_preference),
+      joined_at: user.created_at,
+      stats,
+      reputation
+    }
+  };
+}
+
+async function handleGetUserProfile(env, currentUser, corsHeaders, username) {
+  const result = await getPublicProfile(env, username, currentUser);
+
+  if (!result) {
+    return new Response(JSON.stringify({ error: 'User not found' }), 
+      { status: 404, headers: corsHeaders });
+  }
+
+  return new Response(JSON.stringify({ user: result.profile }), { headers: corsHeaders });
+}
+
+async function handleUserPage(request, env, username) {
+  const viewer = await getUserFromRequest(request, env);
+  const result = await getPublicProfile(env, username, viewer);
+
+  if (!result) {
+    return new Response('Not Found', { status: 404 });
+  }
+
+  const pools = JSON.stringify(result.poolIds);
+  const [memes, interactions] = await env.DB.batch([
+    env.DB.prepare(`
+      SELECT m.id, m.content, m.score, m.created_at, p.slug as pool_slug, p.name as pool_name
+      FROM memes m
+      JOIN pools p ON p.id = m.pool_id
+      WHERE m.user_id = ? AND m.hidden_at IS NULL AND m.pool_id IN (SELECT value FROM json_each(?))
+      ORDER BY m.score DESC, m.id DESC
+      LIMIT ?
+    `).bind(result.id, pools, PROFILE_MEME_LIMIT),
+    env.DB.prepare(`
+      SELECT i.id, i.meme_id, i.type, i.comment, i.created_at, i.updated_at, m.content as meme_content
+      FROM interactions i
+      JOIN memes m ON m.id = i.meme_id
+      WHERE i.user_id = ? AND i.retracted_at IS NULL AND i.hidden_at IS NULL
+        AND m.hidden_at IS NULL AND m.pool_id IN (SELECT value FROM json_each(?))
+      ORDER BY i.created_at DESC, i.id DESC
+      LIMIT ?
+    `).bind(result.id, pools, PROFILE_INTERACTION_LIMIT)
+  ]);
+
+  return htmlResponse(getUserPageHTML(result.profile, memes.results || [], interactions.results || [], env));
+}
+
+// The default pool is served at / and every other pool at /p/:slug, with the same page
+async function handlePoolPage(request, env, slug) {
+  if (slug === DEFAULT_POOL_SLUG && new URL(request.url).pathname !== '/') {
+    return new Response(null, { status: 301, headers: { 'Location': '/' } });
+  }
+
+  const user = await getUserFromRequest(request, env);
+  const pool = await getPool(env, 'slug', slug, user);
+
+  if (!pool || !canViewPool(pool, user, env)) {
+    return new Response('Not Found', { status: 404 });
+  }
+
+  const nonce = bytesToBase64Url(crypto.getRandomValues(new Uint8Array(16)));
+  return withCsrfCookie(request, htmlResponse(getHTML(nonce, pool), { nonce }));
+}
+
+function parsePageLimit(value) {
+  const parsed = parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < 1) {
+    return DEFAULT_PAGE_SIZE;
+  }
+  return Math.min(parsed, MAX_PAGE_SIZE);
+}
+
+function encodeCursor(data) {
+  return base64UrlEncode(JSON.stringify(data));
+}
+
+function decodeCursor(cursor) {
+  try {
+    const data = JSON.parse(base64UrlDecode(cursor));
+    return data && typeof data === 'object' ? data : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+const DEFAULT_SCORING_RULES = {
+  base: 100,
+  refute: -15,
+  refine: 10,
+  praise: 5
+};
+
+const SCORING_RULE_ENV_VARS = {
+  base: 'SCORE_BASE',
+  refute: 'SCORE_REFUTE',
+  refine: 'SCORE_REFINE',
+  praise: 'SCORE_PRAISE'
+};
+
+// Defaults, overridden by SCORE_* vars, overridden in turn by rows in scoring_rules and,
+// for a given pool, by that pool's rows in pool_scoring_rules
+async function getScoringRules(env, poolId = null) {
+  const rules = { ...DEFAULT_SCORING_RULES };
+
+  for (const [name, envVar] of Object.entries(SCORING_RULE_ENV_VARS)) {
+    const parsed = parseInt(env[envVar], 10);
+    if (Number.isFinite(parsed)) {
+      rules[name] = parsed;
+    }
+  }
+
+  try {
+    const stored = await env.DB.prepare('SELECT name, value FROM scoring_rules').all();
+    for (const row of stored.results || []) {
+      if (Object.prototype.hasOwnProperty.call(rules, row.name) && Number.isInteger(row.value)) {
+        rules[row.name] = row.value;
+      }
+    }
+  } catch (error) {
+    // scoring_rules is optional; installations without it fall back to env and defaults
+    console.error('Failed to read scoring_rules:', error);
+  }
+
+  if (poolId !== null) {
+    const overrides = await getPoolScoringOverrides(env, poolId);
+    Object.assign(rules, overrides);
+  }
+
+  return rules;
+}
+
+async function getPoolScoringOverrides(env, poolId) {
+  const stored = await env.DB.prepare('SELECT name, value FROM pool_scoring_rules WHERE pool_id = ?').bind(poolId).all();
+  const overrides = {};
+
+  for (const row of stored.results || []) {
+    if (Object.prototype.hasOwnProperty.call(DEFAULT_SCORING_RULES, row.name) && Number.isInteger(row.value)) {
+      overrides[row.name] = row.value;
+    }
+  }
+
+  return overrides;
+}
+
+// Rebuilds fitness from the interactions ledger so scores can always be audited against it.
+// Rules differ per pool, so a rebuild covers one meme or one pool at a time.
+async function recomputeScores(env, rules, { memeId = null, poolId = null } = {}) {
+  return env.DB.prepare(`
+    UPDATE memes SET score = ? + COALESCE((
+      SELECT SUM(CAST(ROUND((CASE i.type WHEN 'refute' THEN ? WHEN 'refine' THEN ? WHEN 'praise' THEN ? ELSE 0 END) * i.weight) AS INTEGER))
+      FROM interactions i
+      WHERE i.meme_id = memes.id AND i.retracted_at IS NULL AND i.hidden_at IS NULL
+    ), 0)
+    WHERE ${memeId === null ? 'pool_id = ?' : 'id = ?'}
+  `).bind(rules.base, rules.refute, rules.refine, rules.praise, memeId === null ? poolId : memeId).run();
+}
+
+// Rebuilds one meme under the rules of the pool it belongs to
+async function recomputeMemeScore(env, memeId) {
+  const meme = await env.DB.prepare('SELECT pool_id FROM memes WHERE id = ?').bind(memeId).first();
+
+  if (!meme) {
+    return null;
+  }
+
+  return recomputeScores(env, await getScoringRules(env, meme.pool_id), { memeId });
+}
+
+// Reputation turns the fate of someone's contributions into a weight on their interactions.
+// Points per outcome; only other people's interactions count towards what a meme received,
+// and each counts at its own stored weight, so a crowd of fresh accounts hands out very little.
+const REPUTATION_POINTS = {
+  support_received: 1,   // praise or refine on their memes
+  refutes_received: -1,
+  refutes_upheld: 2,     // their refutes of memes the community also rejected, or that moderators removed
+  refutes_overturned: -1, // their refutes of memes that drew more support than refutation
+  removed: -5            // their memes and comments removed by a moderator (flag auto-hides don't count)
+};
+const REPUTATION_POINTS_PER_STEP = 50;  // points for each 1.0 the multiplier moves away from 1
+const MIN_REPUTATION_MULTIPLIER = 0.5;
+const MAX_REPUTATION_MULTIPLIER = 2;
+// New accounts start at NEW_ACCOUNT_MIN_FACTOR of their weight and reach full weight after this many days
+const NEW_ACCOUNT_DAMPENING_DAYS = 14;
+const NEW_ACCOUNT_MIN_FACTOR = 0.2;
+// Weights used for new interactions are recomputed at most this often per user
+const REPUTATION_CACHE_MINUTES = 10;
+
+// Members-only pools are left out so a public profile's reputation never hints at activity in them
+async function getReputation(env, user) {
+  const counts = await env.DB.prepare(`
+    WITH open_memes AS (
+      SELECT m.* FROM memes m JOIN pools p ON p.id = m.pool_id WHERE p.visibility != 'members_only'
+    ),
+    -- Content whose latest visibility decision is a moderator hiding or removing it
+    moderator_removed AS (
+      SELECT a.target_type, a.target_id FROM moderation_actions a
+      WHERE a.action IN ('hide', 'remove') AND a.moderator_id IS NOT NULL
+        AND a.id = (SELECT MAX(b.id) FROM moderation_actions b
+          WHERE b.target_type = a.target_type AND b.target_id = a.target_id
+            AND b.action IN ('hide', 'restore', 'auto_hide', 'approve', 'remove'))
+    ),
+    refuted AS (
+      SELECT m.id, m.hidden_at IS NOT NULL AND m.merged_into IS NULL
+          AND EXISTS (SELECT 1 FROM moderator_removed r WHERE r.target_type = 'meme' AND r.target_id = m.id) as removed,
+        SUM(CASE WHEN i.type = 'refute' THEN i.weight ELSE 0 END) as refutes,
+        SUM(CASE WHEN i.type != 'refute' THEN i.weight ELSE 0 END) as support
+      FROM open_memes m
+      JOIN interactions i ON i.meme_id = m.id AND i.retracted_at IS NULL AND i.hidden_at IS NULL
+      WHERE m.user_id IS NOT ?1
+        AND m.id IN (SELECT meme_id FROM interactions WHERE user_id = ?1 AND type = 'refute')
+      GROUP BY m.id
+    )
+    SELECT
+      (SELECT COALESCE(SUM(i.weight), 0) FROM interactions i JOIN open_memes m ON m.id = i.meme_id
+        WHERE m.user_id = ?1 AND i.user_id != ?1 AND i.type != 'refute' AND m.hidden_at IS NULL
+          AND i.retracted_at IS NULL AND i.hidden_at IS NULL) as support_received,
+      (SELECT COALESCE(SUM(i.weight), 0) FROM interactions i JOIN open_memes m ON m.id = i.meme_id
+        WHERE m.user_id = ?1 AND i.user_id != ?1 AND i.type = 'refute' AND m.hidden_at IS NULL
+          AND i.retracted_at IS NULL AND i.hidden_at IS NULL) as refutes_received,
+      (SELECT COUNT(*) FROM interactions i JOIN refuted r ON r.id = i.meme_id
+        WHERE i.user_id = ?1 AND i.type = 'refute' AND i.retracted_at IS NULL AND i.hidden_at IS NULL
+          AND (r.removed OR r.refutes > r.support)) as refutes_upheld,
+      (SELECT COUNT(*) FROM interactions i JOIN refuted r ON r.id = i.meme_id
+        WHERE i.user_id = ?1 AND i.type = 'refute' AND i.retracted_at IS NULL AND i.hidden_at IS NULL
+          AND NOT r.removed AND r.support > r.refutes) as refutes_overturned,
+      (SELECT COUNT(*) FROM open_memes m JOIN moderator_removed r ON r.target_type = 'meme' AND r.target_id = m.id
+        WHERE m.user_id = ?1 AND m.hidden_at IS NOT NULL AND m.merged_into IS NULL)
+        + (SELECT COUNT(*) FROM interactions i JOIN open_memes m ON m.id = i.meme_id
+          JOIN moderator_removed r ON r.target_type = 'interaction' AND r.target_id = i.id
+          WHERE i.user_id = ?1 AND i.hidden_at IS NOT NULL) as removed
+  `).bind(user.id).first();
+
+  for (const name of Object.keys(REPUTATION_POINTS)) {
+    counts[name] = Math.round(counts[name] * 100) / 100;
+  }
+  const points = Math.round(Object.keys(REPUTATION_POINTS)
+    .reduce((sum, name) => sum + counts[name] * REPUTATION_POINTS[name], 0) * 100) / 100;
+  const multiplier = Math.min(MAX_REPUTATION_MULTIPLIER,
+    Math.max(MIN_REPUTATION_MULTIPLIER, 1 + points / REPUTATION_POINTS_PER_STEP));
+  const ageDays = Math.max(0, (Date.now() - Date.parse(user.created_at + 'Z')) / 86400000);
+  const newAccountFactor = Math.min(1, Math.max(NEW_ACCOUNT_MIN_FACTOR, ageDays / NEW_ACCOUNT_DAMPENING_DAYS));
+
+  return {
+    points,
+    counts,
+    multiplier: Math.round(multiplier * 100) / 100,
+    new_account_factor: Math.round(newAccountFactor * 100) / 100,
+    weight: Math.round(multiplier * newAccountFactor * 100) / 100
+  };
+}
+
+// The weight a new interaction carries, cached on the user so most interactions skip getReputation
+async function getInteractionWeight(env, user) {
+  const cachedAt = user.reputation_computed_at ? Date.parse(user.reputation_computed_at + 'Z') : 0;
+
+  if (user.reputation_weight !== null && user.reputation_weight !== undefined
+    && cachedAt > Date.now() - REPUTATION_CACHE_MINUTES * 60 * 1000) {
+    return user.reputation_weight;
+  }
+
+  const { weight } = await getReputation(env, user);
+  await env.DB.prepare(`UPDATE users SET reputation_weight = ?, reputation_computed_at = datetime('now') WHERE id = ?`)
+    .bind(weight, user.id)
+    .run();
+  return weight;
+}
+
+const ROLE_RANKS = { member: 0, moderator: 1, admin: 2 };
+
+// ADMIN_EMAILS bootstraps admins before anyone has a role stored in users.role
+function isBootstrapAdmin(user, env) {
+  if (!user || !user.email || !env.ADMIN_EMAILS) {
+    return false;
+  }
+
+  const admins = env.ADMIN_EMAILS.split(',').map(email => email.trim().toLowerCase()).filter(Boolean);
+  return admins.includes(user.email.toLowerCase());
+}
+
+function getUserRole(user, env) {
+  if (!user) {
+    return null;
+  }
+
+  if (isBootstrapAdmin(user, env)) {
+    return 'admin';
+  }
+
+  return ROLE_RANKS.hasOwnProperty(user.role) ? user.role : 'member';
+}
+
+// Suspended accounts keep their role on record but lose its powers
+function hasRole(user, env, role) {
+  const userRole = getUserRole(user, env);
+  return userRole !== null && !user.suspended_at && ROLE_RANKS[userRole] >= ROLE_RANKS[role];
+}
+
+function isAdmin(user, env) {
+  return hasRole(user, env, 'admin');
+}
+
+const MODERATION_ACTIONS = {
+  memes: { targetType: 'meme', actions: ['hide', 'restore'] },
+  interactions: { targetType: 'interaction', actions: ['hide', 'restore'] },
+  users: { targetType: 'user', actions: ['suspend', 'unsuspend'] }
+};
+
+async function handleModerationAction(request, env, moderator, corsHeaders, collection, targetId, action) {
+  const config = MODERATION_ACTIONS[collection];
+
+  if (!config.actions.includes(action)) {
+    return new Response(JSON.stringify({ error: `Cannot ${action} ${collection}` }), 
+      { status: 400, headers: corsHeaders });
+  }
+
+  const body = await request.json().catch(() => ({}));
+  const reason = typeof body.reason === 'string' && body.reason.trim() ? body.reason.trim().slice(0, 500) : null;
+  let update;
+  let target;
+
+  if (collection === 'users') {
+    target = await env.DB.prepare('SELECT * FROM users WHERE id = ?').bind(targetId).first();
+
+    if (!target) {
+      return new Response(JSON.stringify({ error: 'User not found' }), 
+        { status: 404, headers: corsHeaders });
+    }
+
+    if (ROLE_RANKS[getUserRole(target, env)] >= ROLE_RANKS[getUserRole(moderator, env)]) {
+      return new Response(JSON.stringify({ error: 'You can only suspend users with a lower role than yours' }), 
+        { status: 403, headers: corsHeaders });
+    }
+
+    update = action === 'suspend'
+      ? env.DB.prepare(`UPDATE users SET suspended_at = datetime('now'), suspended_reason = ? WHERE id = ? AND suspended_at IS NULL`).bind(reason, targetId)
+      : env.DB.prepare(`UPDATE users SET suspended_at = NULL, suspended_reason = NULL WHERE id = ? AND suspended_at IS NOT NULL`).bind(targetId);
+  } else {
+    // collection comes from the route pattern, so it is always memes or interactions here
+    target = await env.DB.prepare(`SELECT * FROM ${collection} WHERE id = ?`).bind(targetId).first();
+
+    if (!target) {
+      return new Response(JSON.stringify({ error: `${config.targetType === 'meme' ? 'Meme' : 'Interaction'} not found` }), 
+        { status: 404, headers: corsHeaders });
+    }
+
+    update = action === 'hide'
+      ? env.DB.prepare(`UPDATE ${collection} SET hidden_at = datetime('now') WHERE id = ? AND hidden_at IS NULL`).bind(targetId)
+      : env.DB.prepare(`UPDATE ${collection} SET hidden_at = NULL WHERE id = ? AND hidden_at IS NOT NULL${collection === 'memes' ? ' AND merged_into IS NULL' : ''}`).bind(targetId);
+  }
+
+  const [result] = await env.DB.batch([
+    update,
+    env.DB.prepare(`
+      INSERT INTO moderation_actions (moderator_id, action, target_type, target_id, reason, created_at)
+      SELECT ?, ?, ?, ?, ?, datetime('now') WHERE changes() > 0
+    `).bind(moderator.id, action, config.targetType, targetId, reason)
+  ]);
+
+  if (!result.meta.changes) {
+    return new Response(JSON.stringify({ error: `Nothing to ${action}: the ${config.targetType} is already in that state` }), 
+      { status: 409, headers: corsHeaders });
+  }
+
+  // Hidden interactions stop counting towards fitness, so rebuild the affected meme from the ledger
+  if (collection === 'interactions') {
+    await recomputeMemeScore(env, target.meme_id);
+  }
+
+  return new Response(JSON.stringify({ success: true }), { headers: corsHeaders });
+}
+
+const FLAG_REASONS = ['spam', 'harassment', 'off_topic', 'other'];
+const DEFAULT_FLAG_AUTO_HIDE_THRESHOLD = 3;
+const FLAG_COLLECTIONS = { meme: 'memes', interaction: 'interactions' };
+
+// FLAG_AUTO_HIDE_THRESHOLD open flags hide content until a moderator reviews it; 0 turns auto-hiding off
+function getFlagThreshold(env) {
+  const parsed = parseInt(env.FLAG_AUTO_HIDE_THRESHOLD, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : DEFAULT_FLAG_AUTO_HIDE_THRESHOLD;
+}
+
+async function handleCreateFlag(request, env, currentUser, corsHeaders) {
+  if (!currentUser) {
+    return new Response(JSON.stringify({ error: 'Authentication required' }), 
+      { status: 401, headers: corsHeaders });
+  }
+
+  const { target_type, target_id, reason, note = '' } = await request.json();
+  const collection = FLAG_COLLECTIONS[target_type];
+
+  if (!collection || !Number.isInteger(target_id) || !FLAG_REASONS.includes(reason)) {
+    return new Response(JSON.stringify({ error: 'Flag needs target_type (meme or interaction), target_id and a reason: ' + FLAG_REASONS.join(', ') }), 
+      { status: 400, headers: corsHeaders });
+  }
+
+  const target = await env.DB.prepare(`
+    SELECT t.id, t.user_id, m.pool_id${collection === 'interactions' ? ', t.meme_id' : ''} FROM ${collection} t
+    JOIN memes m ON m.id = ${collection === 'interactions' ? 't.meme_id' : 't.id'}
+    WHERE t.id = ? AND t.hidden_at IS NULL${collection === 'interactions' ? ' AND t.retracted_at IS NULL' : ''}
+  `).bind(target_id).first();
+  const pool = target ? await getPool(env, 'id', target.pool_id, currentUser) : null;
+
+  if (!target || !pool || !canViewPool(pool, currentUser, env)) {
+    return new Response(JSON.stringify({ error: `${target_type === 'meme' ? 'Meme' : 'Interaction'} not found` }), 
+      { status: 404, headers: corsHeaders });
+  }
+
+  if (target.user_id === currentUser.id) {
+    return new Response(JSON.stringify({ error: 'You cannot flag your own content' }), 
+      { status: 400, headers: corsHeaders });
+  }
+
+  const threshold = getFlagThreshold(env);
+  const trimmedNote = typeof note === 'string' && note.trim() ? note.trim().slice(0, 500) : null;
+  let results;
+
+  try {
+    // The flag and any resulting auto-hide commit together, so concurrent flags can't skip the threshold
+    results = await env.DB.batch([
+      env.DB.prepare(`
+        INSERT INTO flags (target_type, target_id, user_id, reason, note, created_at)
+        VALUES (?, ?, ?, ?, ?, datetime('now'))
+      `).bind(target_type, target_id, currentUser.id, reason, trimmedNote),
+      env.DB.prepare(`
+        UPDATE ${collection} SET hidden_at = datetime('now')
+        WHERE id = ? AND hidden_at IS NULL AND ? > 0
+          AND (SELECT COUNT(*) FROM flags WHERE target_type = ? AND target_id = ? AND resolved_at IS NULL) >= ?
+      `).bind(target_id, threshold, target_type, target_id, threshold),
+      env.DB.prepare(`
+        INSERT INTO moderation_actions (moderator_id, action, target_type, target_id, reason, created_at)
+        SELECT NULL, 'auto_hide', ?, ?, ?, datetime('now') WHERE changes() > 0
+      `).bind(target_type, target_id, `${threshold} open flags`)
+    ]);
+  } catch (error) {
+    if (isUniqueConstraintError(error)) {
+      return new Response(JSON.stringify({ error: 'You have already flagged this' }), 
+        { status: 409, headers: corsHeaders });
+    }
+    throw error;
+  }
+
+  const hidden = results[1].meta.changes > 0;
+
+  if (hidden && collection === 'interactions') {
+    await recomputeMemeScore(env, target.meme_id);
+  }
+
+  return new Response(JSON.stringify({ success: true, hidden }), { headers: corsHeaders });
+}
+
+// Open flags grouped per target, most-flagged first
+async function getFlagQueue(env) {
+  const queue = await env.DB.prepare(`
+    SELECT f.target_type, f.target_id,
+      COUNT(*) as flag_count,
+      GROUP_CONCAT(f.reason) as reasons,
+      MAX(f.created_at) as last_flagged_at,
+      COALESCE(m.content, i.comment) as content,
+      COALESCE(m.hidden_at, i.hidden_at) as hidden_at,
+      i.type as interaction_type,
+      COALESCE(m.id, i.meme_id) as meme_id,
+      COALESCE(mu.username, iu.username) as author_username,
+      COALESCE(m.user_id, i.user_id) as author_id
+    FROM flags f
+    LEFT JOIN memes m ON f.target_type = 'meme' AND m.id = f.target_id
+    LEFT JOIN users mu ON m.user_id = mu.id
+    LEFT JOIN interactions i ON f.target_type = 'interaction' AND i.id = f.target_id
+    LEFT JOIN users iu ON i.user_id = iu.id
+    WHERE f.resolved_at IS NULL
+    GROUP BY f.target_type, f.target_id
+    ORDER BY flag_count DESC, last_flagged_at DESC
+    LIMIT ?
+  `).bind(MODERATION_OVERVIEW_LIMIT).all();
+
+  const notes = await env.DB.prepare(`
+    SELECT target_type, target_id, reason, note FROM flags
+    WHERE resolved_at IS NULL AND note IS NOT NULL
+    ORDER BY created_at DESC
+  `).all();
+
+  return (queue.results || []).map(item => ({
+    ...item,
+    reasons: FLAG_REASONS
+      .map(reason => ({ reason, count: item.reasons.split(',').filter(entry => entry === reason).length }))
+      .filter(entry => entry.count > 0),
+    notes: (notes.results || [])
+      .filter(flag => flag.target_type === item.target_type && flag.target_id === item.target_id)
+      .map(flag => ({ reason: flag.reason, note: flag.note }))
+  }));
+}
+
+// approve: the content stays (or comes back if auto-hidden); remove: it is hidden. Either way the open flags close.
+async function handleFlagDecision(request, env, moderator, corsHeaders, targetType, targetId, decision) {
+  const collection = FLAG_COLLECTIONS[targetType];
+  const body = await request.json().catch(() => ({}));
+  const note = typeof body.note === 'string' && body.note.trim() ? body.note.trim().slice(0, 500) : null;
+  const openFlags = `EXISTS (SELECT 1 FROM flags WHERE target_type = ? AND target_id = ? AND resolved_at IS NULL)`;
+
+  const [contentUpdate, flagUpdate] = await env.DB.batch([
+    decision === 'remove'
+      ? env.DB.prepare(`UPDATE ${collection} SET hidden_at = datetime('now') WHERE id = ? AND hidden_at IS NULL AND ${openFlags}`)
+        .bind(targetId, targetType, targetId)
+      : env.DB.prepare(`UPDATE ${collection} SET hidden_at = NULL WHERE id = ? AND hidden_at IS NOT NULL${collection === 'memes' ? ' AND merged_into IS NULL' : ''} AND ${openFlags}`)
+        .bind(targetId, targetType, targetId),
+    env.DB.prepare(`
+      UPDATE flags SET resolved_at = datetime('now'), resolution = ?, resolved_by = ?
+      WHERE target_type = ? AND target_id = ? AND resolved_at IS NULL
+    `).bind(decision === 'remove' ? 'removed' : 'approved', moderator.id, targetType, targetId),
+    env.DB.prepare(`
+      INSERT INTO moderation_actions (moderator_id, action, target_type, target_id, reason, created_at)
+      SELECT ?, ?, ?, ?, ?, datetime('now') WHERE changes() > 0
+    `).bind(moderator.id, decision, targetType, targetId, note)
+  ]);
+
+  if (!flagUpdate.meta.changes) {
+    return new Response(JSON.stringify({ error: 'No open flags for this ' + targetType }), 
+      { status: 404, headers: corsHeaders });
+  }
+
+  if (contentUpdate.meta.changes && collection === 'interactions') {
+    const interaction = await env.DB.prepare('SELECT meme_id FROM interactions WHERE id = ?').bind(targetId).first();
+    await recomputeMemeScore(env, interaction.meme_id);
+  }
+
+  return new Response(JSON.stringify({
+    success: true,
+    resolved: flagUpdate.meta.changes,
+    hidden: decision === 'remove'
+  }), { headers: corsHeaders });
+}
+
+async function getMergeSurvivorId(env, memeId, poolId = null) {
+  const row = await env.DB.prepare(`SELECT merged_into FROM memes WHERE id = ?${poolId === null ? '' : ' AND pool_id = ?'}`)
+    .bind(memeId, ...(poolId === null ? [] : [poolId])).first();
+  return row ? row.merged_into : null;
+}
+
+// Old ids of merged duplicates keep working: reads are redirected to the surviving meme
+// (merges never cross pools, so the survivor is in the same pool)
+async function mergedMemeRedirect(env, pool, memeId, suffix, corsHeaders) {
+  const survivorId = await getMergeSurvivorId(env, memeId, pool.id);
+
+  if (!survivorId) {
+    return null;
+  }
+
+  return new Response(JSON.stringify({ error: 'Meme was merged', merged_into: survivorId }), {
+    status: 301,
+    headers: { ...corsHeaders, 'Location': `/api/pools/${pool.slug}/memes/${survivorId}${suffix}` }
+  });
+}
+
+// Folds a duplicate into a surviving meme. The duplicate's interactions move over, except where the
+// same user already has an active interaction of that type on the survivor (the unique index allows
+// only one), in which case the duplicate's copy is withdrawn. Refinements of the duplicate become
+// refinements of the survivor, and the duplicate stays behind as a hidden tombstone pointing at it.
+async function handleMergeMemes(request, env, moderator, corsHeaders, sourceId) {
+  const body = await request.json().catch(() => ({}));
+  const targetId = Number(body.into);
+  const reason = typeof body.reason === 'string' && body.reason.trim() ? body.reason.trim().slice(0, 500) : null;
+
+  if (!Number.isInteger(targetId) || targetId === sourceId) {
+    return new Response(JSON.stringify({ error: 'Provide "into": the id of a different meme to merge into' }), 
+      { status: 400, headers: corsHeaders });
+  }
+
+  const [source, target] = await Promise.all([
+    env.DB.prepare('SELECT id, parent_id, pool_id, merged_into FROM memes WHERE id = ?').bind(sourceId).first(),
+    env.DB.prepare('SELECT id, pool_id, hidden_at, merged_into FROM memes WHERE id = ?').bind(targetId).first()
+  ]);
+
+  if (!source || !target) {
+    return new Response(JSON.stringify({ error: 'Meme not found' }), 
+      { status: 404, headers: corsHeaders });
+  }
+
+  if (source.merged_into) {
+    return new Response(JSON.stringify({ error: `Meme #${sourceId} was already merged into #${source.merged_into}` }), 
+      { status: 409, headers: corsHeaders });
+  }
+
+  if (target.hidden_at || target.merged_into) {
+    return new Response(JSON.stringify({ error: 'The surviving meme must be visible' }), 
+      { status: 409, headers: corsHeaders });
+  }
+
+  // Each pool scores by its own rules and may be closed to outsiders, so duplicates only merge within a pool
+  if (source.pool_id !== target.pool_id) {
+    return new Response(JSON.stringify({ error: 'Memes in different pools cannot be merged' }), 
+      { status: 409, headers: corsHeaders });
+  }
+
+  const conflict = `EXISTS (
+    SELECT 1 FROM interactions survivor
+    WHERE survivor.meme_id = ? AND survivor.user_id = interactions.user_id
+      AND survivor.type = interactions.type AND survivor.retracted_at IS NULL
+  )`;
+  // The checks above are repeated inside the batch, so a concurrent merge (say, of the target
+  // into this meme) that commits first turns every statement here into a no-op
+  const stillMergeable = `EXISTS (
+    SELECT 1 FROM memes source JOIN memes target ON target.id = ?
+    WHERE source.id = ? AND source.merged_into IS NULL AND target.merged_into IS NULL AND target.hidden_at IS NULL
+  )`;
+
+  const results = await env.DB.batch([
+    env.DB.prepare(`
+      INSERT INTO interaction_edits (interaction_id, user_id, action, previous_type, previous_comment, created_at)
+      SELECT id, ?, 'retract', type, comment, datetime('now')
+      FROM interactions
+      WHERE meme_id = ? AND retracted_at IS NULL AND ${conflict} AND ${stillMergeable}
+    `).bind(moderator.id, sourceId, targetId, targetId, sourceId),
+    env.DB.prepare(`
+      UPDATE interactions SET retracted_at = datetime('now')
+      WHERE meme_id = ? AND retracted_at IS NULL AND ${conflict} AND ${stillMergeable}
+    `).bind(sourceId, targetId, targetId, sourceId),
+    env.DB.prepare(`UPDATE interactions SET meme_id = ?, merged_from = ? WHERE meme_id = ? AND ${stillMergeable}`)
+      .bind(targetId, sourceId, sourceId, targetId, sourceId),
+    // Children hang off the survivor now, except the branch the survivor itself descends through,
+    // which moves up to the duplicate's parent so lineage never loops
+    env.DB.prepare(`
+      UPDATE memes SET parent_id = CASE
+        WHEN id IN (
+          WITH RECURSIVE ancestors(id, parent_id) AS (
+            SELECT id, parent_id FROM memes WHERE id = ?
+            UNION
+            SELECT m.id, m.parent_id FROM memes m JOIN ancestors a ON m.id = a.parent_id
+          )
+          SELECT id FROM ancestors
+        ) THEN ?
+        ELSE ?
+      END
+      WHERE parent_id = ? AND ${stillMergeable}
+    `).bind(targetId, source.parent_id, targetId, sourceId, targetId, sourceId),
+    env.DB.prepare(`
+      INSERT INTO meme_tags (meme_id, tag_id, created_at)
+      SELECT ?, tag_id, created_at FROM meme_tags WHERE meme_id = ? AND ${stillMergeable}
+      ON CONFLICT(meme_id, tag_id) DO NOTHING
+    `).bind(targetId, sourceId, targetId, sourceId),
+    env.DB.prepare(`DELETE FROM meme_tags WHERE meme_id = ? AND ${stillMergeable}`).bind(sourceId, targetId, sourceId),
+    env.DB.prepare(`UPDATE memes SET merged_into = ? WHERE merged_into = ? AND ${stillMergeable}`)
+      .bind(targetId, sourceId, targetId, sourceId),
+    env.DB.prepare(`
+      UPDATE memes SET merged_into = ?, merged_at = datetime('now'), hidden_at = COALESCE(hidden_at, datetime('now'))
+      WHERE id = ? AND ${stillMergeable}
+    `).bind(targetId, sourceId, targetId, sourceId),
+    env.DB.prepare(`
+      INSERT INTO moderation_actions (moderator_id, action, target_type, target_id, reason, created_at)
+      SELECT ?, 'merge', 'meme', ?, ?, datetime('now') WHERE changes() > 0
+    `).bind(moderator.id, sourceId, `into #${targetId}` + (reason ? ': ' + reason : '')),
+    env.DB.prepare(`
+      UPDATE flags SET resolved_at = datetime('now'), resolution = 'merged', resolved_by = ?
+      WHERE target_type = 'meme' AND target_id = ? AND resolved_at IS NULL
+        AND (SELECT merged_into FROM memes WHERE id = ?) = ?
+    `).bind(moderator.id, sourceId, sourceId, targetId)
+  ]);
+
+  if (!results[7].meta.changes) {
+    return new Response(JSON.stringify({ error: 'One of these memes was merged while you were reviewing it. Reload and try again.' }), 
+      { status: 409, headers: corsHeaders });
+  }
+
+  await recomputeMemeScore(env, targetId);
+
+  return new Response(JSON.stringify({
+    success: true,
+    merged_into: targetId,
+    moved_interactions: results[2].meta.changes,
+    withdrawn_duplicates: results[1].meta.changes,
+    reparented_memes: results[3].meta.changes
+  }), { headers: corsHeaders });
+}
+
+const MODERATION_OVERVIEW_LIMIT = 50;
+
+// Moderators see hidden and retracted content too, but still only handles, never emails
+async function getModerationOverview(env) {
+  const [memes, interactions, users, actions] = await env.DB.batch([
+    env.DB.prepare(`
+      SELECT m.id, m.content, m.score, m.created_at, m.hidden_at, m.merged_into, m.user_id,
+        u.username as author_username, u.suspended_at as author_suspended_at
+      FROM memes m
+      LEFT JOIN users u ON m.user_id = u.id
+      ORDER BY m.created_at DESC, m.id DESC
+      LIMIT ?
+    `).bind(MODERATION_OVERVIEW_LIMIT),
+    env.DB.prepare(`
+      SELECT i.id, i.meme_id, i.type, i.comment, i.created_at, i.hidden_at, i.retracted_at, i.user_id,
+        u.username as user_username, u.suspended_at as user_suspended_at
+      FROM interactions i
+      LEFT JOIN users u ON i.user_id = u.id
+      ORDER BY i.created_at DESC, i.id DESC
+      LIMIT ?
+    `).bind(MODERATION_OVERVIEW_LIMIT),
+    env.DB.prepare(`
+      SELECT id, username, role, suspended_at, suspended_reason, created_at, last_login
+      FROM users
+      ORDER BY COALESCE(last_login, created_at) DESC, id DESC
+      LIMIT ?
+    `).bind(MODERATION_OVERVIEW_LIMIT),
+    env.DB.prepare(`
+      SELECT a.id, a.action, a.target_type, a.target_id, a.reason, a.created_at, u.username as moderator_username
+      FROM moderation_actions a
+      LEFT JOIN users u ON a.moderator_id = u.id
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT ?
+    `).bind(MODERATION_OVERVIEW_LIMIT)
+  ]);
+
+  return {
+    memes: memes.results || [],
+    interactions: interactions.results || [],
+    users: (users.results || []).map(user => ({
+      ...user,
+      role: ROLE_RANKS.hasOwnProperty(user.role) ? user.role : 'member'
+    })),
+    actions: actions.results || []
+  };
+}
+
+// Per-route budgets: each identity the request carries (IP, email, user) gets its own counter.
+// emailPerIp counts an email separately from each IP, so nobody can spend a victim's login budget.
+const RATE_LIMITS = {
+  login: { windowSeconds: 3600, ip: 20, emailPerIp: 5 },
+  verify: { windowSeconds: 900, ip: 30, email: 10 },
+  meme: { windowSeconds: 3600, ip: 60, userId: 20 },
+  suggestion: { windowSeconds: 3600, ip: 10, userId: 10 },
+  interaction: { windowSeconds: 3600, ip: 300, userId: 120 },
+  flag: { windowSeconds: 3600, ip: 60, userId: 30 },
+  pool: { windowSeconds: 86400, ip: 20, userId: 5 }
+};
+// Counters from windows older than the longest budget can no longer apply to anything
+const RATE_LIMIT_RETENTION_SECONDS = Math.max(...Object.values(RATE_LIMITS).map(budget => budget.windowSeconds));
+
+// Returns a 429 response when any of the route's budgets is used up, otherwise null
+async function enforceRateLimit(request, env, route, identities, corsHeaders) {
+  const budget = RATE_LIMITS[route];
+  const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+  const keys = { ip, ...identities };
+  if (keys.email) {
+    keys.emailPerIp = `${keys.email} ${ip}`;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const windowStart = now - (now % budget.windowSeconds);
+  const buckets = Object.entries(keys)
+    .filter(([kind, value]) => budget[kind] && value !== undefined && value !== null && value !== '')
+    .map(([kind, value]) => ({ name: `${route}:${kind}:${String(value).toLowerCase()}`, limit: budget[kind] }));
+
+  // Purge every bucket's expired windows, not just ours, so one-off IPs and emails don't pile up
+  const statements = [
+    env.DB.prepare('DELETE FROM rate_limits WHERE window_start < ?').bind(now - RATE_LIMIT_RETENTION_SECONDS)
+  ];
+  for (const bucket of buckets) {
+    statements.push(env.DB.prepare(`
+      INSERT INTO rate_limits (bucket, window_start, count) VALUES (?, ?, 1)
+      ON CONFLICT(bucket, window_start) DO UPDATE SET count = count + 1
+      RETURNING count
+    `).bind(bucket.name, windowStart));
+  }
+
+  const results = await env.DB.batch(statements);
+  const exceeded = buckets.some((bucket, index) => results[index + 1].results[0].count > bucket.limit);
+
+  if (!exceeded) {
+    return null;
+  }
+
+  const retryAfter = Math.max(1, windowStart + budget.windowSeconds - now);
+  return new Response(JSON.stringify({
+    error: `Too many requests. Try again in ${retryAfter} seconds.`,
+    code: 'rate_limited',
+    retry_after: retryAfter
+  }), {
+    status: 429,
+    headers: { ...corsHeaders, 'Retry-After': String(retryAfter) }
+  });
+}
+
+async function peekRequestEmail(request) {
+  try {
+    const body = await request.clone().json();
+    return typeof body.email === 'string' ? body.email.trim() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const CSRF_COOKIE = 'csrf_token';
+
+// SITE_URL's origin first, then any extra origins from CORS_ALLOWED_ORIGINS (comma-separated)
+function getAllowedOrigins(env) {
+  const origins = [];
+  const candidates = [env.SITE_URL, ...(env.CORS_ALLOWED_ORIGINS || '').split(',')];
+
+  for (const candidate of candidates) {
+    if (!candidate || !candidate.trim()) continue;
+    try {
+      const normalized = new URL(candidate.trim()).origin;
+      if (!origins.includes(normalized)) {
+        origins.push(normalized);
+      }
+    } catch (error) {
+      console.error('Ignoring invalid CORS origin:', candidate);
+    }
+  }
+
+  return origins;
+}
+
+// Returns a failure code for a state-changing request that fails the CSRF checks, or null if it passes
+function checkCsrf(request, origin, originAllowed) {
+  if (origin && !originAllowed) {
+    return 'origin_not_allowed';
+  }
+
+  const cookieToken = getCookie(request, CSRF_COOKIE);
+  const headerToken = request.headers.get('X-CSRF-Token');
+
+  if (!cookieToken || !headerToken) {
+    return 'csrf_token_missing';
+  }
+
+  if (cookieToken !== headerToken) {
+    return 'csrf_token_mismatch';
+  }
+
+  return null;
+}
+
+// Pages hand out the token the client echoes back; reuse an existing one so open tabs stay valid
+function withCsrfCookie(request, response) {
+  if (!getCookie(request, CSRF_COOKIE)) {
+    const token = bytesToBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+    response.headers.append('Set-Cookie', `${CSRF_COOKIE}=${token}; Path=/; Secure; SameSite=Strict; Max-Age=${SESSION_MAX_AGE_SECONDS}`);
+  }
+  return response;
+}
+
+async function handleLogin(request, env, corsHeaders) {
+  try {
+    const { email } = await request.json();
+    
+    if (!email || !email.includes('@')) {
+      return new Response(JSON.stringify({ error: 'Valid email required' }), 
+        { status: 400, headers: corsHeaders });
+    }
+    // Request Auth0 to send a passwordless email link
+    const payload = {
+      client_id: env.AUTH0_CLIENT_ID,
+      client_secret: env.AUTH0_CLIENT_SECRET,
+      connection: 'email',
+      email,
+      send: 'code',
+      authParams: { scope: 'openid profile email' }
+    };
+    
+    const authResponse = await fetch(`https://${env.AUTH0_DOMAIN}/passwordless/start`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+    
+    if (!authResponse.ok) {
+      const errorText = await authResponse.text();
+      console.error('Auth0 passwordless start failed:', errorText);
+      return new Response(JSON.stringify({ error: 'Failed to send login email. Please try again.' }), 
+        { status: 502, headers: corsHeaders });
+    }
+    
+    return new Response(JSON.stringify({ 
+      success: true,
+      message: 'Verification code sent. Check your email.'
+    }), { headers: corsHeaders });
+    
+  } catch (error) {
+    console.error('Login error:', error);
+    return new Response(JSON.stringify({ error: 'Login failed: ' + error.message }), 
+      { status: 500, headers: corsHeaders });
+  }
+}
+
+async function handleCodeVerification(request, env, corsHeaders) {
+  try {
+    const { email, code } = await request.json();
+
+    if (!email || !email.includes('@') || !code) {
+      return new Response(JSON.stringify({ error: 'Email and verification code are required.' }), {
+        status: 400,
+        headers: corsHeaders
+      });
+    }
+
+    const tokenResponse = await fetch(`https://${env.AUTH0_DOMAIN}/oauth/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        grant_type: 'http://auth0.com/oauth/grant-type/passwordless/otp',
+        client_id: env.AUTH0_CLIENT_ID,
+        client_secret: env.AUTH0_CLIENT_SECRET,
+        otp: code,
+        realm: 'email',
+        username: email,
+        scope: 'openid profile email'
+      })
+    });
+
+    if (!tokenResponse.ok) {
+      const errorText = await tokenResponse.text();
+      console.error('Auth0 OTP exchange failed:', errorText);
+      return new Response(JSON.stringify({ error: 'Invalid or expired verification code.' }), {
+        status: 401,
+        headers: corsHeaders
+      });
+    }
+
+    const tokenData = await tokenResponse.json();
+    let auth0User = null;
+    let idTokenClaims = null;
+
+    if (tokenData.id_token) {
+      try {
+        // The OTP grant is a server-to-server exchange of a one-time code and Auth0 doesn't echo a nonce on it
+        idTokenClaims = await verifyIdToken(tokenData.id_token, env);
+      } catch (error) {
+        console.error('ID token rejected:', error.message);
+        return new Response(JSON.stringify({
+          error: AUTH_ERROR_MESSAGES.id_token,
+          redirect: '/auth/error?reason=id_token'
+        }), {
+          status: 401,
+          headers: corsHeaders
+        });
+      }
+    }
+
+    if (tokenData.access_token) {
+      const userResponse = await fetch(`https://${env.AUTH0_DOMAIN}/userinfo`, {
+        headers: { 'Authorization': `Bearer ${tokenData.access_token}` }
+      });
+
+      if (!userResponse.ok) {
+        console.error('Failed to fetch user info after OTP exchange:', await userResponse.text());
+        return new Response(JSON.stringify({ error: 'Verification succeeded but user info is unavailable.' }), {
+          status: 500,
+          headers: corsHeaders
+        });
+      }
+
+      auth0User = await userResponse.json();
+    } else if (idTokenClaims) {
+      auth0User = idTokenClaims;
+    }
+
+    if (!auth0User || !auth0User.email) {
+      // Fallback to the email the user provided if Auth0 response omits it
+      auth0User = {
+        ...(auth0User || {}),
+        email,
+        name: auth0User?.name || auth0User?.nickname || email
+      };
+    }
+
+    const user = await upsertAuth0User(auth0User, env);
+    const sessionDetails = await createSession(user, request, env);
+    const headers = new Headers(corsHeaders);
+    headers.append('Set-Cookie', sessionDetails.header);
+
+    return new Response(JSON.stringify({ success: true }), { headers });
+
+  } catch (error) {
+    console.error('Code verification error:', error);
+    return new Response(JSON.stringify({ error: 'Verification failed: ' + error.message }), {
+      status: 500,
+      headers: corsHeaders
+    });
+  }
+}
+
+async function upsertAuth0User(auth0User, env) {
+  if (!auth0User || !auth0User.email) {
+    throw new Error('Auth0 profile missing email');
+  }
+
+  const preferredName = auth0User.name || auth0User.nickname || auth0User.email;
+
+  let user = await env.DB.prepare('SELECT * FROM users WHERE email = ?')
+    .bind(auth0User.email)
+    .first();
+
+  if (!user) {
+    const username = await generateUsername(env);
+    const result = await env.DB.prepare(`
+      INSERT INTO users (email, name, username, created_at)
+      VALUES (?, ?, ?, datetime('now'))
+    `).bind(auth0User.email, preferredName, username).run();
+
+    user = {
+      id: result.meta.last_row_id,
+      email: auth0User.email,
+      name: preferredName,
+      username
+    };
+  } else {
+    if (!user.name && preferredName) {
+      await env.DB.prepare('UPDATE users SET name = ? WHERE id = ?')
+        .bind(preferredName, user.id)
+        .run();
+      user.name = preferredName;
+    }
+
+    if (!user.username) {
+      const username = await generateUsername(env);
+      await env.DB.prepare('UPDATE users SET username = ? WHERE id = ?')
+        .bind(username, user.id)
+        .run();
+      user.username = username;
+    }
+  }
+
+  await env.DB.prepare('UPDATE users SET last_login = datetime("now") WHERE id = ?')
+    .bind(user.id)
+    .run();
+
+  return user;
+}
+
+const SESSION_MAX_AGE_SECONDS = 30 * 24 * 60 * 60;
+const CLEAR_SESSION_COOKIE = 'session=; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=0';
+
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Each login gets its own row in sessions; the cookie only carries the signed, opaque session id
+async function createSession(user, request, env) {
+  const sessionId = bytesToBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+  const userAgent = (request.headers.get('User-Agent') || '').slice(0, 255) || null;
+
+  await env.DB.batch([
+    env.DB.prepare(`DELETE FROM sessions WHERE user_id = ? AND expires_at < datetime('now')`).bind(user.id),
+    env.DB.prepare(`
+      INSERT INTO sessions (id, user_id, user_agent, created_at, last_seen_at, expires_at)
+      VALUES (?, ?, ?, datetime('now'), datetime('now'), datetime('now', ?))
+    `).bind(sessionId, user.id, userAgent, `+${SESSION_MAX_AGE_SECONDS} seconds`)
+  ]);
+
+  const sessionToken = await signSessionToken({
+    sid: sessionId,
+    exp: Date.now() + (SESSION_MAX_AGE_SECONDS * 1000)
+  }, env);
+
+  return {
+    id: sessionId,
+    token: sessionToken,
+    header: `session=${sessionToken}; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=${SESSION_MAX_AGE_SECONDS}`
+  };
+}
+
+// Session tokens are "<base64url payload>.<base64url HMAC-SHA256 of the payload>"
+async function signSessionToken(sessionData, env) {
+  const payload = bytesToBase64Url(new TextEncoder().encode(JSON.stringify(sessionData)));
+  const key = await getSessionKey(env);
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(payload));
+  return `${payload}.${bytesToBase64Url(new Uint8Array(signature))}`;
+}
+
+async function verifySessionToken(token, env) {
+  const parts = token.split('.');
+  if (parts.length !== 2 || !parts[0] || !parts[1]) {
+    return null;
+  }
+
+  try {
+    const key = await getSessionKey(env);
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      key,
+      base64UrlToBytes(parts[1]),
+      new TextEncoder().encode(parts[0])
+    );
+
+    if (!valid) {
+      return null;
+    }
+
+    return JSON.parse(new TextDecoder().decode(base64UrlToBytes(parts[0])));
+  } catch (error) {
+    console.error('Session verification failed:', error.message);
+    return null;
+  }
+}
+
+const sessionKeyCache = new Map();
+
+function getSessionKey(env) {
+  if (!env.SESSION_SECRET) {
+    throw new Error('SESSION_SECRET is not configured');
+  }
+
+  if (!sessionKeyCache.has(env.SESSION_SECRET)) {
+    sessionKeyCache.set(env.SESSION_SECRET, crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(env.SESSION_SECRET),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign', 'verify']
+    ));
+  }
+
+  return sessionKeyCache.get(env.SESSION_SECRET);
+}
+
+function getCookie(request, name) {
+  const cookies = request.headers.get('Cookie') || '';
+  for (const part of cookies.split(';')) {
+    const separator = part.indexOf('=');
+    if (separator !== -1 && part.slice(0, separator).trim() === name) {
+      return part.slice(separator + 1).trim() || null;
+    }
+  }
+  return null;
+}
+
+  async function generateUsername(env, maxAttempts = 25) {
+    const adjectives = [
+      'curious', 'bold', 'clever', 'lively', 'radiant', 'vivid', 'brisk', 'lucid', 'noble', 'brave'
+    ];
+    const nouns = [
+      'aurora', 'comet', 'nebula', 'quark', 'vector', 'cipher', 'vertex', 'lyric', 'signal', 'riddle'
+    ];
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      const adjective = adjectives[Math.floor(Math.random() * adjectives.length)];
+      const noun = nouns[Math.floor(Math.random() * nouns.length)];
+      const suffix = Math.floor(100 + Math.random() * 900);
+      const candidate = `${adjective}-${noun}-${suffix}`;
+
+      const existing = await env.DB.prepare('SELECT id FROM users WHERE username = ?')
+        .bind(candidate)
+        .first();
+
+      if (!existing) {
+        return candidate;
+      }
+    }
+
+    throw new Error('Unable to generate unique username');
+  }
+
+const JWKS_CACHE_TTL_MS = 10 * 60 * 1000;
+const JWKS_MIN_REFRESH_MS = 30 * 1000;
+const ID_TOKEN_CLOCK_SKEW_SECONDS = 60;
+let jwksCache = null;
+
+// Verifies an Auth0 ID token (RS256) and returns its claims; throws if anything about it is off
+async function verifyIdToken(idToken, env, options = {}) {
+  const parts = typeof idToken === 'string' ? idToken.split('.') : [];
+  if (parts.length !== 3) {
+    throw new Error('ID token is malformed');
+  }
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(new TextDecoder().decode(base64UrlToBytes(parts[0])));
+    claims = JSON.parse(new TextDecoder().decode(base64UrlToBytes(parts[1])));
+  } catch (error) {
+    throw new Error('ID token is malformed');
+  }
+
+  if (header.alg !== 'RS256') {
+    throw new Error(`Unsupported ID token algorithm: ${header.alg}`);
+  }
+
+  const key = await getSigningKey(env, header.kid);
+  const valid = await crypto.subtle.verify(
+    'RSASSA-PKCS1-v1_5',
+    key,
+    base64UrlToBytes(parts[2]),
+    new TextEncoder().encode(`${parts[0]}.${parts[1]}`)
+  );
+
+  if (!valid) {
+    throw new Error('ID token signature is invalid');
+  }
+
+  const issuer = `https://${env.AUTH0_DOMAIN}/`;
+  if (claims.iss !== issuer) {
+    throw new Error('ID token issuer mismatch');
+  }
+
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!env.AUTH0_CLIENT_ID || !audiences.includes(env.AUTH0_CLIENT_ID)) {
+    throw new Error('ID token audience mismatch');
+  }
+
+  if (audiences.length > 1 && claims.azp !== env.AUTH0_CLIENT_ID) {
+    throw new Error('ID token authorized party mismatch');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number' || claims.exp + ID_TOKEN_CLOCK_SKEW_SECONDS < now) {
+    throw new Error('ID token has expired');
+  }
+
+  if (typeof claims.nbf === 'number' && claims.nbf - ID_TOKEN_CLOCK_SKEW_SECONDS > now) {
+    throw new Error('ID token is not valid yet');
+  }
+
+  // Flows that send a nonce to /authorize pass it here, and then the token must carry exactly that value
+  if (options.nonce !== undefined && claims.nonce !== options.nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+}
+
+// AUTH0_JWKS_URL lets local runs and tests point at a stand-in key set
+function getJwksUrl(env) {
+  return env.AUTH0_JWKS_URL || `https://${env.AUTH0_DOMAIN}/.well-known/jwks.json`;
+}
+
+async function getSigningKey(env, kid) {
+  const url = getJwksUrl(env);
+  const fresh = jwksCache && jwksCache.url === url && Date.now() - jwksCache.fetchedAt < JWKS_CACHE_TTL_MS;
+
+  if (!fresh) {
+    await refreshJwks(url);
+  }
+
+  let key = findJwk(kid);
+
+  // An unknown kid usually means Auth0 rotated keys; refetch once, but not on every bad token
+  if (!key && Date.now() - jwksCache.fetchedAt >= JWKS_MIN_REFRESH_MS) {
+    await refreshJwks(url);
+    key = findJwk(kid);
+  }
+
+  if (!key) {
+    throw new Error('ID token signing key not found');
+  }
+
+  if (!key.cryptoKey) {
+    key.cryptoKey = await crypto.subtle.importKey(
+      'jwk',
+      { kty: key.kty, n: key.n, e: key.e, alg: 'RS256', ext: true },
+      { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+      false,
+      ['verify']
+    );
+  }
+
+  return key.cryptoKey;
+}
+
+async function refreshJwks(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch JWKS (${response.status})`);
+  }
+
+  const data = await response.json();
+  const keys = (data.keys || []).filter(key => key.kty === 'RSA' && (!key.use || key.use === 'sig'));
+
+  jwksCache = { url, keys, fetchedAt: Date.now() };
+}
+
+function findJwk(kid) {
+  const keys = jwksCache ? jwksCache.keys : [];
+  if (!kid) {
+    return keys.length === 1 ? keys[0] : null;
+  }
+  return keys.find(key => key.kid === kid) || null;
+}
+
+function base64UrlDecode(input) {
+  let output = input.replace(/-/g, '+').replace(/_/g, '/');
+  const padding = output.length % 4;
+
+  if (padding) {
+    output += '='.repeat(4 - padding);
+  }
+
+  return atob(output);
+}
+
+function base64UrlEncode(input) {
+  return btoa(input).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return base64UrlEncode(binary);
+}
+
+function base64UrlToBytes(input) {
+  return Uint8Array.from(base64UrlDecode(input), char => char.charCodeAt(0));
+}
+
+
+function getAuthErrorHTML(message) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+    <title>Authentication Error - Meme Replicator</title>
+    <style>
+        body { font-family: 'Courier New', monospace; max-width: 600px; margin: 50px auto; padding: 20px; text-align: center; }
+        .error { color: #d32f2f; border: 2px solid #d32f2f; padding: 20px; margin: 20px 0; }
+    </style>
+</head>
+<body>
+    <h1>MEME REPLICATOR</h1>
+    <div class="error">
+        <h3>Authentication Error</h3>
+        <p>${escapeHTML(message)}</p>
+    </div>
+    <p><a href="/" style="color: #333;">← Back to Meme Replicator</a></p>
+</body>
+</html>`;
+}
+
+// Pages only run scripts carrying the per-response nonce, so injected markup can't execute
+function buildContentSecurityPolicy(nonce) {
+  return [
+    "default-src 'self'",
+    nonce ? `script-src 'nonce-${nonce}'` : "script-src 'none'",
+    "style-src 'self' 'unsafe-inline'",
+    "img-src 'self' data:",
+    "connect-src 'self'",
+    "object-src 'none'",
+    "base-uri 'none'",
+    "form-action 'self'",
+    "frame-ancestors 'none'"
+  ].join('; ');
+}
+
+function htmlResponse(html, { status = 200, nonce = null } = {}) {
+  return new Response(html, {
+    status,
+    headers: {
+      'Content-Type': 'text/html',
+      'Content-Security-Policy': buildContentSecurityPolicy(nonce)
+    }
+  });
+}
+
+// escapeHTML, renderMarkdown and profileLink are also shipped to the browser via toString(),
+// so they must stay self-contained and render identically in both places
+function escapeHTML(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Handles link to the person's public profile; legacy authors without one stay plain text
+function profileLink(display, username) {
+  return username
+    ? '<a class="profile-link" href="/u/' + encodeURIComponent(username) + '">' + escapeHTML(display) + '</a>'
+    : escapeHTML(display);
+}
+
+// A deliberately small Markdown subset for memes and comments: **bold**, *italic* / _italic_,
+// `code`, [label](https://link) and "> " quotes. Text is escaped before any tag is added.
+function renderMarkdown(text) {
+  const source = String(text === null || text === undefined ? '' : text)
+    .replace(/\u0000/g, '')
+    .replace(/\r\n?/g, '\n');
+  const stash = [];
+  const keep = html => '\u0000' + (stash.push(html) - 1) + '\u0000';
+
+  const inline = line => escapeHTML(line)
+    .replace(/`([^`]+)`/g, (match, code) => keep('<code>' + code + '</code>'))
+    .replace(/\[([^\]\u0000]+)\]\((https?:\/\/[^\s)\u0000]+)\)/g, (match, label, url) =>
+      keep('<a href="' + url + '" rel="nofollow noopener noreferrer" target="_blank">') + label + keep('</a>'))
+    .replace(/\*\*(?=\S)([^*\u0000]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w*])\*(?=[^\s*])([^*\u0000]*?[^\s*])\*(?![\w*])/g, '$1<em>$2</em>')
+    .replace(/(^|[^\w])_(?=\S)([^_\u0000]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+
+  const blocks = [];
+  let quote = null;
+  for (const line of source.split('\n')) {
+    const quoted = line.match(/^\s*>\s?(.*)$/);
+    if (quoted) {
+      quote = quote || [];
+      quote.push(inline(quoted[1]));
+      continue;
+    }
+    if (quote) {
+      blocks.push({ html: '<blockquote>' + quote.join('<br>') + '</blockquote>', block: true });
+      quote = null;
+    }
+    blocks.push({ html: inline(line), block: false });
+  }
+  if (quote) {
+    blocks.push({ html: '<blockquote>' + quote.join('<br>') + '</blockquote>', block: true });
+  }
+
+  let html = '';
+  blocks.forEach((entry, index) => {
+    if (index > 0 && !entry.block && !blocks[index - 1].block) {
+      html += '<br>';
+    }
+    html += entry.html;
+  });
+
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[Number(index)]);
+}
+
+function getMemePageHTML(meme, env, pool) {
+  const siteUrl = env.SITE_URL || '/';
+  const poolPath = poolPagePath(pool);
+  const permalink = `${siteUrl}m/${meme.id}`;
+  const author = meme.author_display;
+  const authorLink = profileLink(author, meme.author_username);
+  const summary = meme.content.length > 200 ? meme.content.slice(0, 197) + '...' : meme.content;
+  const title = `Meme #${meme.id} · fitness ${meme.score}`;
+  const typeColors = { refute: '#d32f2f', refine: '#1976d2', praise: '#388e3c' };
+
+  const interactionsHtml = meme.interactions.map(interaction => {
+    const userName = profileLink(interaction.user_display, interaction.user_username);
+    const comment = interaction.comment && interaction.comment.trim() ? ': ' + renderMarkdown(interaction.comment.trim()) : '';
+    return `<div class="interaction-item"><strong style="color: ${typeColors[interaction.type] || '#333'}">${escapeHTML(interaction.type.toUpperCase())}</strong> by ${userName}${comment} <span class="when">${escapeHTML(interaction.created_at)} UTC${interaction.updated_at ? ' (edited)' : ''}${interaction.weight !== undefined && interaction.weight !== 1 ? ` · counted ×${interaction.weight}` : ''}${interaction.merged_from ? ` · on merged #${interaction.merged_from}` : interaction.meme_version && interaction.meme_version < meme.version ? ` · on v${interaction.meme_version}` : ''}</span></div>`;
+  }).join('\n        ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHTML(title)} - Meme Replicator</title>
+    <meta name="description" content="${escapeHTML(summary)}">
+    <link rel="canonical" href="${escapeHTML(permalink)}">
+    ${pool.visibility === 'public' ? '' : '<meta name="robots" content="noindex">'}
+    <meta property="og:type" content="article">
+    <meta property="og:site_name" content="Meme Replicator">
+    <meta property="og:title" content="${escapeHTML(title)}">
+    <meta property="og:description" content="${escapeHTML(summary)}">
+    <meta property="og:url" content="${escapeHTML(permalink)}">
+    <meta name="twitter:card" content="summary">
+    <meta name="twitter:title" content="${escapeHTML(title)}">
+    <meta name="twitter:description" content="${escapeHTML(summary)}">
+    <style>
+        body { font-family: 'Courier New', monospace; max-width: 800px; margin: 0 auto; padding: 20px; background-color: #f5f5f5; color: #333; }
+        h1 { text-align: center; border-bottom: 2px solid #333; padding-bottom: 10px; margin-bottom: 30px; }
+        h1 a { color: inherit; text-decoration: none; }
+        .meme-card { background: white; border: 2px solid #333; padding: 20px; }
+        .meme-content { font-size: 18px; line-height: 1.4; }
+        .meme-meta { font-size: 12px; color: #666; margin-top: 10px; }
+        .meme-tags { font-size: 12px; margin-top: 8px; }
+        .meme-tags a { color: #1976d2; text-decoration: none; margin-right: 6px; }
+        .profile-link { color: inherit; }
+        .fitness { display: inline-block; background: #333; color: white; padding: 5px 10px; font-weight: bold; margin-bottom: 15px; }
+        .counts { font-size: 12px; margin-top: 10px; }
+        .interactions-list { margin-top: 15px; padding-top: 10px; border-top: 1px solid #eee; }
+        .interaction-item { font-size: 12px; margin-bottom: 5px; padding: 5px; background: #f9f9f9; }
+        .when { color: #999; }
+        .back { display: block; text-align: center; margin-top: 20px; color: #1976d2; text-decoration: none; }
+        blockquote { margin: 5px 0; padding-left: 10px; border-left: 3px solid #ccc; color: #555; }
+        code { background: #eee; padding: 0 3px; }
+    </style>
+</head>
+<body>
+    <h1><a href="/">MEME REPLICATOR</a></h1>
+    <div class="meme-card">
+        <div class="fitness">Fitness ${escapeHTML(meme.score)}</div>
+        <div class="meme-content">${renderMarkdown(meme.content)}</div>
+        ${meme.tags && meme.tags.length ? `<div class="meme-tags">${meme.tags.map(tag => `<a href="${poolPath}?tag=${encodeURIComponent(tag)}">#${escapeHTML(tag)}</a>`).join(' ')}</div>` : ''}
+        <div class="meme-meta">By ${authorLink} • ${escapeHTML(meme.created_at)} UTC${meme.version > 1 ? ` • v${meme.version}, edited ${escapeHTML(meme.updated_at)} UTC` : ''}${meme.parent_id ? ` • refined from <a href="/m/${meme.parent_id}">#${meme.parent_id}</a>` : ''}</div>
+        <div class="counts">
+            <span style="color: #d32f2f">${meme.refute_count} refuted</span> •
+            <span style="color: #1976d2">${meme.refine_count} refined</span> •
+            <span style="color: #388e3c">${meme.praise_count} praised</span>
+        </div>
+        ${interactionsHtml ? `<div class="interactions-list">
+        ${interactionsHtml}
+        </div>` : ''}
+    </div>
+    <a class="back" href="${poolPath}">← Back to ${pool.slug === DEFAULT_POOL_SLUG ? 'the Meme Pool' : escapeHTML(pool.name)}</a>
+</body>
+</html>`;
+}
+
+function getUserPageHTML(profile, memes, interactions, env) {
+  const siteUrl = env.SITE_URL || '/';
+  const title = `${profile.display_name} on Meme Replicator`;
+  const summary = `${profile.stats.memes_authored} memes, total fitness ${profile.stats.total_fitness}`;
+  const typeColors = { refute: '#d32f2f', refine: '#1976d2', praise: '#388e3c' };
+  const excerpt = text => text.length > 80 ? text.slice(0, 77) + '...' : text;
+
+  const memesHtml = memes.map(meme => `<div class="item"><span class="fitness">${escapeHTML(meme.score)}</span> <a href="/m/${meme.id}">${escapeHTML(excerpt(meme.content))}</a> <span class="when">${escapeHTML(meme.created_at)} UTC${meme.pool_slug === DEFAULT_POOL_SLUG ? '' : ` · in <a href="/p/${escapeHTML(meme.pool_slug)}">${escapeHTML(meme.pool_name)}</a>`}</span></div>`).join('\n        ');
+
+  const interactionsHtml = interactions.map(interaction => {
+    const comment = interaction.comment && interaction.comment.trim() ? ': ' + renderMarkdown(interaction.comment.trim()) : '';
+    return `<div class="item"><strong style="color: ${typeColors[interaction.type] || '#333'}">${escapeHTML(interaction.type.toUpperCase())}</strong> on <a href="/m/${interaction.meme_id}">${escapeHTML(excerpt(interaction.meme_content))}</a>${comment} <span class="when">${escapeHTML(interaction.created_at)} UTC${interaction.updated_at ? ' (edited)' : ''}</span></div>`;
+  }).join('\n        ');
+
+  const reputation = profile.reputation;
+  const outcomeLabels = {
+    support_received: 'praise and refinements received',
+    refutes_received: 'refutes received',
+    refutes_upheld: 'refutes that held up',
+    refutes_overturned: 'refutes that were overturned',
+    removed: 'memes and comments removed by moderators'
+  };
+  const reputationRows = Object.keys(REPUTATION_POINTS).map(name => `<tr><td>${outcomeLabels[name]}</td><td>${reputation.counts[name]}</td><td>${REPUTATION_POINTS[name] > 0 ? '+' : ''}${REPUTATION_POINTS[name]}</td><td>${Math.round(reputation.counts[name] * REPUTATION_POINTS[name] * 100) / 100}</td></tr>`).join('\n            ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHTML(title)}</title>
+    <meta name="description" content="${escapeHTML(summary)}">
+    <link rel="canonical" href="${escapeHTML(`${siteUrl}u/${profile.username}`)}">
+    <meta property="og:type" content="profile">
+    <meta property="og:site_name" content="Meme Replicator">
+    <meta property="og:title" content="${escapeHTML(title)}">
+    <meta property="og:description" content="${escapeHTML(summary)}">
+    <style>
+        body { font-family: 'Courier New', monospace; max-width: 800px; margin: 0 auto; padding: 20px; background-color: #f5f5f5; color: #333; }
+        h1 { text-align: center; border-bottom: 2px solid #333; padding-bottom: 10px; margin-bottom: 30px; }
+        h1 a { color: inherit; text-decoration: none; }
+        h2 { margin-bottom: 4px; }
+        h3 { margin-top: 25px; }
+        .card { background: white; border: 2px solid #333; padding: 20px; }
+        .handle { color: #666; font-size: 13px; }
+        .stats { display: flex; flex-wrap: wrap; gap: 10px; margin-top: 15px; }
+        .stat { border: 1px solid #333; padding: 6px 10px; font-size: 12px; }
+        .stat strong { display: block; font-size: 18px; }
+        .item { font-size: 13px; margin-bottom: 6px; padding: 6px; background: #f9f9f9; }
+        .item a { color: #1976d2; text-decoration: none; }
+        .fitness { display: inline-block; min-width: 36px; background: #333; color: white; padding: 1px 5px; font-weight: bold; text-align: center; }
+        .when { color: #999; font-size: 11px; }
+        .empty { color: #999; font-style: italic; font-size: 13px; }
+        .back { display: block; text-align: center; margin-top: 20px; color: #1976d2; text-decoration: none; }
+        blockquote { margin: 5px 0; padding-left: 10px; border-left: 3px solid #ccc; color: #555; }
+        code { background: #eee; padding: 0 3px; }
+        table.reputation { border-collapse: collapse; font-size: 12px; margin-top: 8px; }
+        table.reputation td, table.reputation th { border-bottom: 1px solid #ddd; padding: 3px 10px 3px 0; text-align: left; }
+        .formula { font-size: 12px; color: #666; margin-top: 8px; }
+    </style>
+</head>
+<body>
+    <h1><a href="/">MEME REPLICATOR</a></h1>
+    <div class="card">
+        <h2>${escapeHTML(profile.display_name)}</h2>
+        <div class="handle">@${escapeHTML(profile.username)} • joined ${escapeHTML(profile.joined_at)} UTC</div>
+        <div class="stats">
+            <div class="stat"><strong>${profile.stats.memes_authored}</strong>memes</div>
+            <div class="stat"><strong>${profile.stats.total_fitness}</strong>total fitness</div>
+            <div class="stat"><strong>${profile.stats.refutes_given}</strong>refutes given</div>
+            <div class="stat"><strong>${profile.stats.refutes_received}</strong>refutes received</div>
+            <div class="stat"><strong>×${reputation.weight}</strong>interaction weight</div>
+        </div>
+        <h3>Reputation</h3>
+        <table class="reputation">
+            <tr><th>Outcome</th><th>Count</th><th>Points each</th><th>Points</th></tr>
+            ${reputationRows}
+            <tr><th colspan="3">Total</th><th>${reputation.points}</th></tr>
+        </table>
+        <div class="formula">
+            Reputation multiplier: 1 + ${reputation.points} / ${REPUTATION_POINTS_PER_STEP}, kept between ${MIN_REPUTATION_MULTIPLIER} and ${MAX_REPUTATION_MULTIPLIER} = ${reputation.multiplier}<br>
+            New-account factor: ${reputation.new_account_factor} (starts at ${NEW_ACCOUNT_MIN_FACTOR} and reaches 1 after ${NEW_ACCOUNT_DAMPENING_DAYS} days)<br>
+            Each new PRAISE, REFINE or REFUTE moves fitness by its points × ${reputation.multiplier} × ${reputation.new_account_factor} = ×${reputation.weight}, rounded to a whole number.
+            Praise, refinements and refutes received count at the weight each was made with, so they add up to fractions.
+            Only activity in pools anyone can see counts.
+        </div>
+        <h3>Memes</h3>
+        ${memesHtml || '<div class="empty">No memes yet.</div>'}
+        <h3>Recent interactions</h3>
+        ${interactionsHtml || '<div class="empty">No interactions yet.</div>'}
+    </div>
+    <a class="back" href="/">← Back to the Meme Pool</a>
+</body>
+</html>`;
+}
+
+// Moderation console; everything on it comes from /api/moderation/* so access is enforced server-side
+function getAdminHTML(nonce) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Moderation - Meme Replicator</title>
+    <style>
+        body { font-family: 'Courier New', monospace; max-width: 1000px; margin: 0 auto; padding: 20px; background-color: #f5f5f5; color: #333; }
+        h1 { text-align: center; border-bottom: 2px solid #333; padding-bottom: 10px; margin-bottom: 30px; }
+        h1 a { color: inherit; text-decoration: none; }
+        h2 { margin-top: 30px; font-size: 18px; }
+        table { width: 100%; border-collapse: collapse; background: white; border: 2px solid #333; font-size: 12px; }
+        th, td { border-bottom: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+        th { background: #333; color: white; }
+        tr.hidden td { background: #fbe9e7; color: #888; }
+        .status { font-weight: bold; }
+        .content { max-width: 420px; word-wrap: break-word; }
+        button, select { font-family: inherit; font-size: 11px; padding: 3px 6px; margin: 1px 0; cursor: pointer; border: 1px solid #333; background: white; }
+        button:hover { background: #333; color: white; }
+        blockquote { margin: 5px 0; padding-left: 10px; border-left: 3px solid #ccc; color: #555; }
+        code { background: #eee; padding: 0 3px; }
+        .notice { background: white; border: 2px solid #333; padding: 20px; text-align: center; }
+        .error { color: #d32f2f; }
+        .back { display: block; text-align: center; margin-top: 20px; color: #1976d2; text-decoration: none; }
+        .triage input, .triage textarea { font-family: inherit; font-size: 11px; width: 100%; box-sizing: border-box; margin: 2px 0; }
+    </style>
+</head>
+<body>
+    <h1><a href="/">MEME REPLICATOR</a> · MODERATION</h1>
+    <div id="adminMessage"></div>
+    <div id="console" style="display: none;">
+        <h2>Review queue</h2>
+        <table><thead><tr><th>Target</th><th>Content</th><th>Author</th><th>Flags</th><th>Status</th><th>Decision</th></tr></thead><tbody id="queueRows"></tbody></table>
+        <h2>Recent memes</h2>
+        <table><thead><tr><th>#</th><th>Content</th><th>Author</th><th>Status</th><th>Actions</th></tr></thead><tbody id="memeRows"></tbody></table>
+        <h2>Recent interactions</h2>
+        <table><thead><tr><th>#</th><th>Meme</th><th>Type / comment</th><th>By</th><th>Status</th><th>Actions</th></tr></thead><tbody id="interactionRows"></tbody></table>
+        <h2>Users</h2>
+        <table><thead><tr><th>#</th><th>Handle</th><th>Role</th><th>Status</th><th>Actions</th></tr></thead><tbody id="userRows"></tbody></table>
+        <h2>Moderation log</h2>
+        <table><thead><tr><th>When</th><th>Moderator</th><th>Action</th><th>Target</th><th>Reason</th></tr></thead><tbody id="actionRows"></tbody></table>
+        <div id="suggestionTriage" style="display: none;">
+            <h2>Suggestions <a href="/roadmap" style="font-size: 12px;">public roadmap →</a></h2>
+            <table><thead><tr><th>#</th><th>Suggestion</th><th>From</th><th>Votes</th><th>Status / tags / reply</th></tr></thead><tbody id="suggestionRows"></tbody></table>
+        </div>
+    </div>
+    <a class="back" href="/">← Back to the Meme Pool</a>
+    <script nonce="${nonce}">
+    ${escapeHTML.toString()}
+
+    ${renderMarkdown.toString()}
+
+    let viewer = null;
+
+    function csrfHeaders(headers = {}) {
+      const match = document.cookie.match(/(?:^|;\\s*)csrf_token=([^;]+)/);
+      return match ? { ...headers, 'X-CSRF-Token': decodeURIComponent(match[1]) } : headers;
+    }
+
+    function showMessage(html) {
+      document.getElementById('adminMessage').innerHTML = html;
+    }
+
+    function handleOf(username) {
+      return username ? '@' + escapeHTML(username) : 'Anonymous';
+    }
+
+    function actionButton(action, attributes, label) {
+      return '<button data-action="' + action + '" ' + attributes + '>' + label + '</button> ';
+    }
+
+    function suspendControls(userId, username, suspendedAt) {
+      if (!userId) {
+        return '';
+      }
+      return suspendedAt
+        ? actionButton('moderate', 'data-collection="users" data-id="' + userId + '" data-verb="unsuspend"', 'UNSUSPEND ' + handleOf(username))
+        : actionButton('moderate', 'data-collection="users" data-id="' + userId + '" data-verb="suspend"', 'SUSPEND ' + handleOf(username));
+    }
+
+    function renderQueue(queue) {
+      if (queue.length === 0) {
+        document.getElementById('queueRows').innerHTML = '<tr><td colspan="6">Nothing flagged. All clear.</td></tr>';
+        return;
+      }
+
+      document.getElementById('queueRows').innerHTML = queue.map(item =>
+        '<tr class="' + (item.hidden_at ? 'hidden' : '') + '">' +
+          '<td>' + escapeHTML(item.target_type) + ' #' + item.target_id +
+            (item.meme_id ? ' <a href="/m/' + item.meme_id + '">view</a>' : '') + '</td>' +
+          '<td class="content">' +
+            (item.interaction_type ? '<strong>' + escapeHTML(item.interaction_type.toUpperCase()) + '</strong> ' : '') +
+            renderMarkdown(item.content || '') +
+            item.notes.map(flag => '<blockquote>' + escapeHTML(flag.reason) + ': ' + escapeHTML(flag.note) + '</blockquote>').join('') +
+          '</td>' +
+          '<td>' + handleOf(item.author_username) + '</td>' +
+          '<td>' + item.flag_count + ' (' + item.reasons.map(entry => escapeHTML(entry.reason) + ' ×' + entry.count).join(', ') + ')</td>' +
+          '<td class="status">' + (item.hidden_at ? 'hidden' : 'visible') + '</td>' +
+          '<td>' +
+            actionButton('decide', 'data-target-type="' + item.target_type + '" data-id="' + item.target_id + '" data-verb="approve"', item.hidden_at ? 'APPROVE &amp; RESTORE' : 'APPROVE') +
+            actionButton('decide', 'data-target-type="' + item.target_type + '" data-id="' + item.target_id + '" data-verb="remove"', 'REMOVE') +
+          '</td>' +
+        '</tr>'
+      ).join('');
+    }
+
+    function render(data) {
+      document.getElementById('memeRows').innerHTML = data.memes.map(meme =>
+        '<tr class="' + (meme.hidden_at ? 'hidden' : '') + '">' +
+          '<td><a href="/m/' + meme.id + '">' + meme.id + '</a></td>' +
+          '<td class="content">' + renderMarkdown(meme.content) + '</td>' +
+          '<td>' + handleOf(meme.author_username) + (meme.author_suspended_at ? ' (suspended)' : '') + '</td>' +
+          '<td class="status">' + (meme.merged_into
+            ? 'merged into <a href="/m/' + meme.merged_into + '">#' + meme.merged_into + '</a>'
+            : meme.hidden_at ? 'hidden' : 'visible') + '</td>' +
+          '<td>' +
+            (meme.merged_into
+              ? ''
+              : actionButton('moderate', 'data-collection="memes" data-id="' + meme.id + '" data-verb="' + (meme.hidden_at ? 'restore' : 'hide') + '"', meme.hidden_at ? 'RESTORE' : 'HIDE') +
+                actionButton('merge', 'data-id="' + meme.id + '"', 'MERGE INTO…')) +
+            suspendControls(meme.user_id, meme.author_username, meme.author_suspended_at) +
+          '</td>' +
+        '</tr>'
+      ).join('');
+
+      document.getElementById('interactionRows').innerHTML = data.interactions.map(interaction =>
+        '<tr class="' + (interaction.hidden_at ? 'hidden' : '') + '">' +
+          '<td>' + interaction.id + '</td>' +
+          '<td><a href="/m/' + interaction.meme_id + '">#' + interaction.meme_id + '</a></td>' +
+          '<td class="content"><strong>' + escapeHTML(interaction.type.toUpperCase()) + '</strong> ' + renderMarkdown(interaction.comment || '') + '</td>' +
+          '<td>' + handleOf(interaction.user_username) + (interaction.user_suspended_at ? ' (suspended)' : '') + '</td>' +
+          '<td class="status">' + (interaction.hidden_at ? 'hidden' : interaction.retracted_at ? 'withdrawn' : 'visible') + '</td>' +
+          '<td>' +
+            actionButton('moderate', 'data-collection="interactions" data-id="' + interaction.id + '" data-verb="' + (interaction.hidden_at ? 'restore' : 'hide') + '"', interaction.hidden_at ? 'RESTORE' : 'HIDE') +
+            suspendControls(interaction.user_id, interaction.user_username, interaction.user_suspended_at) +
+          '</td>' +
+        '</tr>'
+      ).join('');
+
+      const roles = ['member', 'moderator', 'admin'];
+      document.getElementById('userRows').innerHTML = data.users.map(user =>
+        '<tr class="' + (user.suspended_at ? 'hidden' : '') + '">' +
+          '<td>' + user.id + '</td>' +
+          '<td>' + handleOf(user.username) + '</td>' +
+          '<td>' + (viewer.role === 'admin' && user.id !== viewer.id
+            ? '<select data-user-id="' + user.id + '" class="role-select">' +
+                roles.map(role => '<option value="' + role + '"' + (role === user.role ? ' selected' : '') + '>' + role + '</option>').join('') +
+              '</select>'
+            : escapeHTML(user.role)) + '</td>' +
+          '<td class="status">' + (user.suspended_at ? 'suspended' + (user.suspended_reason ? ': ' + escapeHTML(user.suspended_reason) : '') : 'active') + '</td>' +
+          '<td>' + (user.id === viewer.id ? '' : suspendControls(user.id, user.username, user.suspended_at)) + '</td>' +
+        '</tr>'
+      ).join('');
+
+      document.getElementById('actionRows').innerHTML = data.actions.map(entry =>
+        '<tr>' +
+          '<td>' + escapeHTML(entry.created_at) + ' UTC</td>' +
+          '<td>' + (entry.moderator_username ? handleOf(entry.moderator_username) : 'community flags') + '</td>' +
+          '<td>' + escapeHTML(entry.action) + '</td>' +
+          '<td>' + escapeHTML(entry.target_type) + ' #' + entry.target_id + '</td>' +
+          '<td>' + escapeHTML(entry.reason || '') + '</td>' +
+        '</tr>'
+      ).join('');
+    }
+
+    async function load() {
+      const userResponse = await fetch('/api/auth/user');
+      const userData = await userResponse.json();
+      viewer = userData.user;
+
+      if (!viewer || (viewer.role !== 'moderator' && viewer.role !== 'admin') || viewer.suspended) {
+        document.getElementById('console').style.display = 'none';
+        showMessage('<div class="notice">Moderator access required. <a href="/">Log in on the main page</a> with a moderator account.</div>');
+        return;
+      }
+
+      const [response, queueResponse] = await Promise.all([
+        fetch('/api/moderation/recent'),
+        fetch('/api/moderation/queue')
+      ]);
+      const data = await response.json();
+      const queueData = await queueResponse.json();
+      if (!response.ok || !queueResponse.ok) {
+        showMessage('<div class="notice error">' + escapeHTML(data.error || queueData.error || 'Failed to load moderation data') + '</div>');
+        return;
+      }
+
+      showMessage('');
+      document.getElementById('console').style.display = 'block';
+      renderQueue(queueData.queue);
+      render(data);
+
+      // Suggestion triage is admin-only; moderators simply don't see the section
+      if (viewer.role === 'admin') {
+        await loadSuggestions();
+      }
     }
 
-    if (!user.username) {
-      const username = await generateUsername(env);
-      await env.DB.prepare('UPDATE users SET username = ? WHERE id = ?')
-        .bind(username, user.id)
-        .run();
-      user.username = username;
+    function renderSuggestions(data) {
+      document.getElementById('suggestionRows').innerHTML = data.suggestions.map(suggestion =>
+        '<tr>' +
+          '<td>' + suggestion.id + '</td>' +
+          '<td class="content">' + renderMarkdown(suggestion.message) + '<br><small>' + escapeHTML(suggestion.created_at) + ' UTC</small></td>' +
+          '<td>' + handleOf(suggestion.user_username) + (suggestion.contact ? '<br>' + escapeHTML(suggestion.contact) : '') + '</td>' +
+          '<td>' + suggestion.vote_count + '</td>' +
+          '<td class="triage">' +
+            '<select id="suggestion-status-' + suggestion.id + '">' +
+              data.statuses.map(status => '<option value="' + status + '"' + (status === suggestion.status ? ' selected' : '') + '>' + status + '</option>').join('') +
+            '</select>' +
+            '<input id="suggestion-tags-' + suggestion.id + '" type="text" placeholder="tags, comma separated" value="' + escapeHTML(suggestion.tags.join(', ')) + '">' +
+            '<textarea id="suggestion-reply-' + suggestion.id + '" placeholder="Reply shown to the submitter (and on the roadmap)">' + escapeHTML(suggestion.reply || '') + '</textarea>' +
+            actionButton('saveSuggestion', 'data-id="' + suggestion.id + '"', 'SAVE') +
+          '</td>' +
+        '</tr>'
+      ).join('') || '<tr><td colspan="5">No suggestions yet.</td></tr>';
     }
-  }
 
-  await env.DB.prepare('UPDATE users SET last_login = datetime("now") WHERE id = ?')
-    .bind(user.id)
-    .run();
+    async function loadSuggestions() {
+      const response = await fetch('/api/admin/suggestions');
+      const data = await response.json();
+      if (response.ok) {
+        document.getElementById('suggestionTriage').style.display = 'block';
+        renderSuggestions(data);
+      }
+    }
 
-  return user;
-}
+    async function saveSuggestion(target) {
+      const id = target.dataset.id;
+      const tags = document.getElementById('suggestion-tags-' + id).value
+        .split(',')
+        .map(tag => tag.trim())
+        .filter(Boolean);
+
+      const response = await fetch('/api/admin/suggestions/' + id, {
+        method: 'PUT',
+        headers: csrfHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({
+          status: document.getElementById('suggestion-status-' + id).value,
+          tags,
+          reply: document.getElementById('suggestion-reply-' + id).value
+        })
+      });
+      const data = await response.json();
 
-function buildSessionCookie(user, auth0User = null) {
-  const displayName = user.name || auth0User?.name || auth0User?.nickname || user.email;
-  const sessionData = {
-    userId: user.id,
-    email: user.email,
-    name: displayName,
-    username: user.username,
-    auth0Sub: auth0User?.sub,
-    exp: Date.now() + (30 * 24 * 60 * 60 * 1000)
-  };
+      if (!response.ok) {
+        alert(data.error || 'Failed to update suggestion');
+      }
+      await loadSuggestions();
+    }
 
-  const sessionToken = btoa(JSON.stringify(sessionData));
-  const maxAgeSeconds = 30 * 24 * 60 * 60;
+    async function merge(target) {
+      const into = prompt('Merge meme #' + target.dataset.id + ' into which meme? Enter the id of the meme that survives:');
+      if (!into) {
+        return;
+      }
+      const reason = prompt('Reason (optional):');
+      if (reason === null) {
+        return;
+      }
 
-  return {
-    token: sessionToken,
-    header: `session=${sessionToken}; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=${maxAgeSeconds}`
-  };
-}
+      const response = await fetch('/api/moderation/memes/' + target.dataset.id + '/merge', {
+        method: 'POST',
+        headers: csrfHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ into: Number(into.trim().replace(/^#/, '')), reason })
+      });
+      const data = await response.json();
 
-  async function generateUsername(env, maxAttempts = 25) {
-    const adjectives = [
-      'curious', 'bold', 'clever', 'lively', 'radiant', 'vivid', 'brisk', 'lucid', 'noble', 'brave'
-    ];
-    const nouns = [
-      'aurora', 'comet', 'nebula', 'quark', 'vector', 'cipher', 'vertex', 'lyric', 'signal', 'riddle'
-    ];
+      if (!response.ok) {
+        alert(data.error || 'Merge failed');
+      } else {
+        alert('Merged into #' + data.merged_into + ': ' + data.moved_interactions + ' interactions moved, ' +
+          data.withdrawn_duplicates + ' duplicates withdrawn, ' + data.reparented_memes + ' refinements re-parented.');
+      }
+      await load();
+    }
 
-    for (let attempt = 0; attempt < maxAttempts; attempt++) {
-      const adjective = adjectives[Math.floor(Math.random() * adjectives.length)];
-      const noun = nouns[Math.floor(Math.random() * nouns.length)];
-      const suffix = Math.floor(100 + Math.random() * 900);
-      const candidate = `${adjective}-${noun}-${suffix}`;
+    async function decide(target) {
+      const verb = target.dataset.verb;
+      const note = prompt(verb === 'remove' ? 'Why is this being removed? (optional)' : 'Note (optional):');
+      if (note === null) {
+        return;
+      }
 
-      const existing = await env.DB.prepare('SELECT id FROM users WHERE username = ?')
-        .bind(candidate)
-        .first();
+      const response = await fetch('/api/moderation/queue/' + target.dataset.targetType + '/' + target.dataset.id + '/' + verb, {
+        method: 'POST',
+        headers: csrfHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ note })
+      });
+      const data = await response.json();
 
-      if (!existing) {
-        return candidate;
+      if (!response.ok) {
+        alert(data.error || 'Review decision failed');
       }
+      await load();
     }
 
-    throw new Error('Unable to generate unique username');
-  }
+    async function moderate(target) {
+      const verb = target.dataset.verb;
+      const reason = verb === 'hide' || verb === 'suspend' ? prompt('Reason (optional):') : '';
+      if (reason === null) {
+        return;
+      }
 
-function decodeIdToken(idToken) {
-  try {
-    const parts = idToken.split('.');
-    if (parts.length < 2) {
-      return null;
+      const response = await fetch('/api/moderation/' + target.dataset.collection + '/' + target.dataset.id + '/' + verb, {
+        method: 'POST',
+        headers: csrfHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ reason })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        alert(data.error || 'Moderation action failed');
+      }
+      await load();
     }
 
-    const payload = base64UrlDecode(parts[1]);
-    return JSON.parse(payload);
-  } catch (error) {
-    console.error('Failed to decode id_token:', error);
-    return null;
-  }
-}
+    async function changeRole(select) {
+      const response = await fetch('/api/admin/users/' + select.dataset.userId + '/role', {
+        method: 'PUT',
+        headers: csrfHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ role: select.value })
+      });
+      const data = await response.json();
 
-function base64UrlDecode(input) {
-  let output = input.replace(/-/g, '+').replace(/_/g, '/');
-  const padding = output.length % 4;
+      if (!response.ok) {
+        alert(data.error || 'Failed to change role');
+      }
+      await load();
+    }
 
-  if (padding) {
-    output += '='.repeat(4 - padding);
-  }
+    const actions = { moderate, decide, merge, saveSuggestion };
 
-  return atob(output);
-}
+    document.addEventListener('click', event => {
+      const target = event.target.closest('[data-action]');
+      if (target && actions.hasOwnProperty(target.dataset.action)) {
+        event.preventDefault();
+        actions[target.dataset.action](target);
+      }
+    });
+
+    document.addEventListener('change', event => {
+      if (event.target.classList.contains('role-select')) {
+        changeRole(event.target);
+      }
+    });
 
+    load();
+    </script>
+</body>
+</html>`;
+}
 
-function getAuthErrorHTML(message) {
+function getRoadmapHTML(nonce) {
   return `<!DOCTYPE html>
-<html>
+<html lang="en">
 <head>
-    <title>Authentication Error - Meme Replicator</title>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Roadmap - Meme Replicator</title>
     <style>
-        body { font-family: 'Courier New', monospace; max-width: 600px; margin: 50px auto; padding: 20px; text-align: center; }
-        .error { color: #d32f2f; border: 2px solid #d32f2f; padding: 20px; margin: 20px 0; }
+        body { font-family: 'Courier New', monospace; max-width: 1000px; margin: 0 auto; padding: 20px; background-color: #f5f5f5; color: #333; }
+        h1 { text-align: center; border-bottom: 2px solid #333; padding-bottom: 10px; margin-bottom: 10px; }
+        h1 a { color: inherit; text-decoration: none; }
+        .subtitle { text-align: center; font-style: italic; color: #666; margin-bottom: 30px; }
+        .board { display: flex; gap: 15px; align-items: flex-start; flex-wrap: wrap; }
+        .column { flex: 1; min-width: 250px; }
+        .column h2 { font-size: 16px; border-bottom: 2px solid #333; padding-bottom: 5px; }
+        .card { background: white; border: 2px solid #333; padding: 10px; margin-bottom: 10px; display: flex; gap: 10px; }
+        .vote { display: flex; flex-direction: column; align-items: center; min-width: 40px; }
+        .vote button { font-family: inherit; border: 1px solid #333; background: white; cursor: pointer; padding: 2px 8px; }
+        .vote button.voted { background: #388e3c; color: white; border-color: #388e3c; }
+        .vote button:disabled { cursor: not-allowed; opacity: 0.5; }
+        .message { word-wrap: break-word; font-size: 13px; }
+        .tags { margin-top: 5px; }
+        .tag { display: inline-block; font-size: 11px; background: #eee; padding: 0 5px; margin-right: 3px; }
+        .reply { margin-top: 8px; padding-left: 8px; border-left: 3px solid #1976d2; font-size: 12px; color: #555; }
+        .empty { color: #999; font-style: italic; font-size: 12px; }
+        blockquote { margin: 5px 0; padding-left: 10px; border-left: 3px solid #ccc; color: #555; }
+        code { background: #eee; padding: 0 3px; }
+        .back { display: block; text-align: center; margin-top: 20px; color: #1976d2; text-decoration: none; }
     </style>
 </head>
 <body>
-    <h1>MEME REPLICATOR</h1>
-    <div class="error">
-        <h3>Authentication Error</h3>
-        <p>${message}</p>
-    </div>
-    <p><a href="/" style="color: #333;">← Back to Meme Replicator</a></p>
+    <h1><a href="/">MEME REPLICATOR</a> · ROADMAP</h1>
+    <p class="subtitle">Suggestions we have accepted. Log in on the main page to upvote the ones you want most.</p>
+    <div id="board" class="board"><div class="empty">Loading roadmap...</div></div>
+    <a class="back" href="/">← Back to the Meme Pool</a>
+    <script nonce="${nonce}">
+    ${escapeHTML.toString()}
+
+    ${renderMarkdown.toString()}
+
+    const STATUS_LABELS = { planned: 'Planned', in_progress: 'In progress', done: 'Done' };
+    let viewer = null;
+
+    function csrfHeaders(headers = {}) {
+      const match = document.cookie.match(/(?:^|;\\s*)csrf_token=([^;]+)/);
+      return match ? { ...headers, 'X-CSRF-Token': decodeURIComponent(match[1]) } : headers;
+    }
+
+    function renderCard(suggestion) {
+      return '<div class="card">' +
+        '<div class="vote">' +
+          '<button class="' + (suggestion.voted ? 'voted' : '') + '" data-action="vote" data-id="' + suggestion.id + '" data-voted="' + suggestion.voted + '"' +
+            (viewer ? '' : ' disabled title="Log in to vote"') + '>▲</button>' +
+          '<span>' + suggestion.vote_count + '</span>' +
+        '</div>' +
+        '<div>' +
+          '<div class="message">' + renderMarkdown(suggestion.message) + '</div>' +
+          (suggestion.tags.length
+            ? '<div class="tags">' + suggestion.tags.map(tag => '<span class="tag">' + escapeHTML(tag) + '</span>').join('') + '</div>'
+            : '') +
+          (suggestion.reply ? '<div class="reply"><strong>Team:</strong> ' + renderMarkdown(suggestion.reply) + '</div>' : '') +
+        '</div>' +
+      '</div>';
+    }
+
+    function render(data) {
+      document.getElementById('board').innerHTML = data.statuses.map(status => {
+        const cards = data.suggestions.filter(suggestion => suggestion.status === status);
+        return '<div class="column"><h2>' + STATUS_LABELS[status] + ' (' + cards.length + ')</h2>' +
+          (cards.length ? cards.map(renderCard).join('') : '<div class="empty">Nothing here yet.</div>') +
+        '</div>';
+      }).join('');
+    }
+
+    async function load() {
+      const [userResponse, roadmapResponse] = await Promise.all([fetch('/api/auth/user'), fetch('/api/roadmap')]);
+      viewer = (await userResponse.json()).user;
+      const data = await roadmapResponse.json();
+
+      if (!roadmapResponse.ok) {
+        document.getElementById('board').innerHTML = '<div class="empty">' + escapeHTML(data.error || 'Failed to load the roadmap') + '</div>';
+        return;
+      }
+      render(data);
+    }
+
+    async function vote(button) {
+      button.disabled = true;
+      const response = await fetch('/api/roadmap/' + button.dataset.id + '/vote', {
+        method: button.dataset.voted === 'true' ? 'DELETE' : 'POST',
+        headers: csrfHeaders()
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        alert(data.error || 'Vote failed');
+      }
+      await load();
+    }
+
+    document.addEventListener('click', event => {
+      const target = event.target.closest('[data-action="vote"]');
+      if (target) {
+        event.preventDefault();
+        vote(target);
+      }
+    });
+
+    load();
+    </script>
 </body>
 </html>`;
 }
 
-function getHTML() {
+function getHTML(nonce, pool) {
+  const isDefaultPool = pool.slug === DEFAULT_POOL_SLUG;
+
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Meme Replicator</title>
+    <title>${isDefaultPool ? '' : escapeHTML(pool.name) + ' - '}Meme Replicator</title>
+    ${pool.visibility === 'public' ? '' : '<meta name="robots" content="noindex">'}
     <style>
         body {
             font-family: 'Courier New', monospace;
@@ -767,6 +4592,10 @@ function getHTML() {
       font-size: 12px;
     }
         
+    a.edit-profile {
+      text-decoration: none;
+    }
+
     .edit-profile:hover {
       background: #f0f0f0;
     }
@@ -849,7 +4678,8 @@ function getHTML() {
       margin-bottom: 5px;
     }
 
-    .profile-editor input[type="text"] {
+    .profile-editor input[type="text"],
+    .profile-editor select {
       width: 220px;
       border: 1px solid #333;
       padding: 8px 10px;
@@ -869,6 +4699,32 @@ function getHTML() {
       margin: 0;
     }
 
+    .session-list {
+      border-top: 1px solid #ddd;
+      margin-top: 15px;
+      padding-top: 10px;
+    }
+
+    .session-row {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      gap: 10px;
+      font-size: 12px;
+      padding: 5px 0;
+    }
+
+    .session-row .session-agent {
+      color: #333;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .session-row .session-meta {
+      color: #666;
+    }
+
     .suggestion-section {
       background: white;
       border: 2px solid #333;
@@ -912,6 +4768,30 @@ function getHTML() {
       font-family: inherit;
     }
 
+    .own-suggestions {
+      margin-top: 15px;
+      font-size: 12px;
+    }
+
+    .own-suggestion {
+      padding: 6px 0;
+      border-top: 1px solid #eee;
+    }
+
+    .suggestion-state {
+      display: inline-block;
+      font-weight: bold;
+      text-transform: uppercase;
+      margin-right: 5px;
+    }
+
+    .suggestion-reply {
+      margin-top: 3px;
+      padding-left: 8px;
+      border-left: 3px solid #1976d2;
+      color: #555;
+    }
+
     .suggestion-controls button {
       margin: 0;
     }
@@ -926,6 +4806,180 @@ function getHTML() {
             padding: 20px;
         }
 
+    .meme-pool-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      gap: 10px;
+      flex-wrap: wrap;
+    }
+
+    .sort-control {
+      font-size: 12px;
+    }
+
+    .tag-input {
+      width: 100%;
+      box-sizing: border-box;
+      font-family: inherit;
+      border: 1px solid #333;
+      padding: 6px;
+      margin-top: 8px;
+    }
+
+    .tag-bar {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px;
+      margin-bottom: 12px;
+    }
+
+    .meme-tags {
+      margin: 6px 0;
+    }
+
+    .tag-chip {
+      display: inline-block;
+      font-size: 11px;
+      padding: 2px 8px;
+      margin-right: 4px;
+      border: 1px solid #1976d2;
+      border-radius: 10px;
+      color: #1976d2;
+      background: white;
+      text-decoration: none;
+    }
+
+    .tag-chip.active {
+      background: #1976d2;
+      color: white;
+    }
+
+    .tag-count {
+      opacity: 0.7;
+    }
+
+    .pool-nav {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 6px;
+      margin-bottom: 12px;
+      font-size: 12px;
+    }
+
+    .pool-chip {
+      padding: 2px 8px;
+      border: 1px solid #333;
+      color: #333;
+      background: white;
+      text-decoration: none;
+    }
+
+    .pool-chip.active {
+      background: #333;
+      color: white;
+    }
+
+    .pool-description {
+      font-size: 12px;
+      color: #666;
+      margin: -10px 0 15px;
+    }
+
+    .duplicate-prompt {
+      border: 2px solid #f57c00;
+      background: #fff8e1;
+      padding: 10px;
+      margin-top: 10px;
+      font-size: 13px;
+    }
+
+    .duplicate-match {
+      margin-top: 10px;
+      padding-top: 8px;
+      border-top: 1px solid #ffe0b2;
+    }
+
+    .duplicate-meta {
+      color: #666;
+      font-size: 11px;
+      margin: 3px 0;
+    }
+
+    .duplicate-meta a {
+      color: #1976d2;
+    }
+
+    .duplicate-prompt button {
+      width: auto;
+      font-size: 11px;
+      padding: 4px 8px;
+      margin-top: 4px;
+    }
+
+    .duplicate-controls {
+      margin-top: 10px;
+    }
+
+    .search-bar {
+      display: flex;
+      gap: 8px;
+      margin-bottom: 10px;
+    }
+
+    .search-bar input {
+      flex: 1;
+      font-family: inherit;
+      border: 2px solid #333;
+      padding: 8px;
+    }
+
+    .search-bar button {
+      width: auto;
+      padding: 0 12px;
+    }
+
+    .search-results {
+      background: white;
+      border: 2px solid #333;
+      padding: 10px 15px;
+      margin-bottom: 20px;
+      font-size: 13px;
+    }
+
+    .search-result {
+      padding: 8px 0;
+      border-bottom: 1px solid #eee;
+    }
+
+    .search-result:last-child {
+      border-bottom: none;
+    }
+
+    .search-result a {
+      color: inherit;
+      text-decoration: none;
+    }
+
+    .search-result mark {
+      background: #fff59d;
+    }
+
+    .search-result-meta {
+      color: #666;
+      font-size: 11px;
+      margin-top: 3px;
+    }
+
+    .sort-control select {
+      font-family: inherit;
+      border: 1px solid #333;
+      padding: 4px 6px;
+      margin-left: 6px;
+      background: white;
+    }
+
     .meme-rank-note {
       font-size: 12px;
       color: #666;
@@ -987,12 +5041,33 @@ function getHTML() {
             font-size: 16px;
             line-height: 1.4;
         }
+
+        blockquote {
+            margin: 5px 0;
+            padding-left: 10px;
+            border-left: 3px solid #ccc;
+            color: #555;
+        }
+
+        code {
+            background: #eee;
+            padding: 0 3px;
+        }
         
         .meme-meta {
             font-size: 12px;
             color: #666;
             margin-top: 10px;
         }
+
+    .meme-meta a.permalink {
+      color: #1976d2;
+      text-decoration: none;
+    }
+
+    a.profile-link {
+      color: inherit;
+    }
         
     .meme-actions {
       margin-top: 10px;
@@ -1053,6 +5128,136 @@ function getHTML() {
             margin-bottom: 10px;
         }
         
+    .interaction-version {
+      color: #b26a00;
+      font-size: 11px;
+    }
+
+    .meme-edit-form,
+    .history-view {
+      display: none;
+      margin-top: 10px;
+      padding: 10px;
+      border: 1px dashed #666;
+      font-size: 12px;
+    }
+
+    .meme-edit-form textarea {
+      height: 80px;
+      margin-bottom: 5px;
+    }
+
+    .history-entry {
+      padding: 5px 0;
+      border-bottom: 1px solid #eee;
+    }
+
+    .history-entry:last-child {
+      border-bottom: none;
+    }
+
+    .history-label {
+      color: #666;
+      font-weight: bold;
+      margin-bottom: 3px;
+    }
+
+    .history-view ins {
+      background: #e8f5e9;
+      text-decoration: none;
+    }
+
+    .history-view del {
+      background: #ffebee;
+    }
+
+    .interaction-edited {
+      color: #999;
+      font-style: italic;
+    }
+
+    .interaction-controls a {
+      color: #666;
+      font-size: 11px;
+    }
+
+    .interaction-edit-form {
+      display: none;
+      margin-top: 5px;
+    }
+
+    .interaction-edit-form select {
+      font-family: inherit;
+      margin-bottom: 5px;
+    }
+
+    .interaction-edit-form textarea {
+      height: 50px;
+    }
+
+    .flag-form {
+      display: none;
+      margin-top: 5px;
+      font-size: 12px;
+    }
+
+    .flag-form select,
+    .flag-form input {
+      font-family: inherit;
+      margin-right: 5px;
+    }
+
+    .lineage-view {
+      display: none;
+      margin-top: 10px;
+      padding: 10px;
+      border: 1px dashed #1976d2;
+      font-size: 12px;
+    }
+
+    .lineage-view ul {
+      list-style: none;
+      margin: 4px 0 0;
+      padding-left: 18px;
+      border-left: 1px solid #ccc;
+    }
+
+    .lineage-node {
+      padding: 3px 0;
+    }
+
+    .lineage-node.current {
+      font-weight: bold;
+    }
+
+    .lineage-node.fittest {
+      color: #388e3c;
+    }
+
+    .lineage-score {
+      background: #333;
+      color: white;
+      padding: 0 4px;
+    }
+
+    .lineage-badge {
+      border: 1px solid #388e3c;
+      padding: 0 4px;
+      text-transform: uppercase;
+      font-size: 10px;
+    }
+
+    .lineage-arrow {
+      color: #999;
+      padding-left: 10px;
+    }
+
+    .lineage-empty {
+      color: #666;
+      font-style: italic;
+      margin-top: 5px;
+    }
+
         .interactions-list {
             margin-top: 10px;
             padding-top: 10px;
@@ -1066,6 +5271,11 @@ function getHTML() {
             background: #f9f9f9;
         }
         
+    .load-more {
+      text-align: center;
+      margin-top: 15px;
+    }
+
         .loading {
             text-align: center;
             color: #666;
@@ -1083,9 +5293,28 @@ function getHTML() {
             text-align: center;
             margin: 10px 0;
         }
+
+        .rate-limit-banner {
+            display: none;
+            position: sticky;
+            top: 0;
+            z-index: 10;
+            background: #fff3e0;
+            border: 2px solid #f57c00;
+            color: #e65100;
+            padding: 10px;
+            margin-bottom: 20px;
+            text-align: center;
+            font-size: 14px;
+        }
+
+        .rate-limit-banner.show {
+            display: block;
+        }
     </style>
 </head>
 <body>
+    <div id="rateLimitBanner" class="rate-limit-banner"></div>
     <h1>MEME REPLICATOR</h1>
     <div class="subtitle">
         "In the evolution of ideas, only the fittest survive" - Inspired by Deutsch & Dawkins
@@ -1096,11 +5325,11 @@ function getHTML() {
         <h3>Login to Submit & Interact</h3>
     <p>Enter your email to receive a one-time login code:</p>
         <input type="email" id="emailInput" placeholder="your@email.com">
-    <button id="loginBtn" onclick="requestLogin()">SEND LOGIN CODE</button>
+    <button id="loginBtn" data-action="requestLogin">SEND LOGIN CODE</button>
     <div id="codeSection" style="display: none; margin-top: 15px;">
       <p>Then enter the 6-digit code we just emailed you:</p>
       <input type="text" id="codeInput" maxlength="10" placeholder="123456" style="width: 160px; text-align: center;">
-      <button id="verifyBtn" onclick="verifyCode()">VERIFY CODE</button>
+      <button id="verifyBtn" data-action="verifyCode">VERIFY CODE</button>
     </div>
         <div id="authMessage"></div>
     </div>
@@ -1112,8 +5341,9 @@ function getHTML() {
       <div id="userHandle" class="profile-handle"></div>
     </div>
     <div class="user-actions">
-      <button class="edit-profile" onclick="toggleProfileEditor(true)">EDIT PROFILE</button>
-      <button class="logout" onclick="logout()">LOGOUT</button>
+      <a id="adminLink" class="edit-profile" href="/admin" style="display: none;">MODERATION</a>
+      <button class="edit-profile" data-action="openProfileEditor">EDIT PROFILE</button>
+      <button class="logout" data-action="logout">LOGOUT</button>
     </div>
   </div>
 
@@ -1121,13 +5351,25 @@ function getHTML() {
     <h4>Profile</h4>
     <label for="usernameInput">Username</label>
     <input type="text" id="usernameInput" maxlength="32" placeholder="lowercase-handle">
+    <label for="displayNameInput">Display name</label>
+    <input type="text" id="displayNameInput" maxlength="50" placeholder="How you'd like to be credited">
+    <label for="displayPreferenceSelect">Show me publicly as</label>
+    <select id="displayPreferenceSelect">
+      <option value="handle">My @handle</option>
+      <option value="name">My display name</option>
+    </select>
     <div id="profileMessage"></div>
     <div class="profile-controls">
-      <button id="saveUsernameBtn" onclick="saveUsername()">SAVE</button>
-      <button onclick="toggleProfileEditor(false)">CANCEL</button>
-      <button id="suggestUsernameBtn" onclick="suggestUsername()">RANDOMIZE</button>
+      <button id="saveProfileBtn" data-action="saveProfile">SAVE</button>
+      <button data-action="closeProfileEditor">CANCEL</button>
+      <button id="suggestUsernameBtn" data-action="suggestUsername">RANDOMIZE</button>
+    </div>
+    <p class="profile-hint">Usernames use lowercase letters, numbers, and single hyphens. Your email is never shown to other people.</p>
+    <div class="session-list">
+      <h4>Signed-in devices</h4>
+      <div id="sessionList"></div>
+      <button data-action="logoutEverywhere">LOG OUT ALL DEVICES</button>
     </div>
-    <p class="profile-hint">Usernames use lowercase letters, numbers, and single hyphens.</p>
   </div>
 
     <div class="meme-form">
@@ -1137,19 +5379,43 @@ function getHTML() {
         </div>
         <div id="memeSubmission">
             <textarea id="memeContent" placeholder="Enter your meme/idea here. Make it clear, testable, and meaningful..."></textarea>
+            <input type="text" id="memeTags" class="tag-input" placeholder="Topics (optional, up to 5): epistemology, programming">
             <br><br>
-            <button id="submitBtn" onclick="submitMeme()">REPLICATE</button>
+            <button id="submitBtn" data-action="submitMeme">REPLICATE</button>
         </div>
         <div id="submitMessage"></div>
     </div>
     
   <div class="meme-area">
     <div class="meme-list">
-      <h3>Meme Pool</h3>
-      <p class="meme-rank-note">Higher entries reflect more widely shared truth.</p>
+      <div id="poolNav" class="pool-nav"></div>
+      <div class="search-bar">
+        <input type="search" id="searchInput" placeholder="Search memes and comments..." autocomplete="off">
+        <button id="clearSearchBtn" data-action="clearSearch" style="display: none;">CLEAR</button>
+      </div>
+      <div id="searchResults" class="search-results" style="display: none;"></div>
+      <div id="tagBar" class="tag-bar"></div>
+      <div class="meme-pool-header">
+        <h3>${escapeHTML(pool.name)}</h3>
+        <button id="membershipBtn" data-action="toggleMembership" style="display: none;"></button>
+        <label class="sort-control">Sort
+          <select id="sortSelect">
+            <option value="fitness">Fitness</option>
+            <option value="new">Newest</option>
+            <option value="active">Recently active</option>
+            <option value="controversial">Controversial</option>
+            <option value="hot">Hot</option>
+          </select>
+        </label>
+      </div>
+      ${pool.description ? `<p class="pool-description">${escapeHTML(pool.description)}</p>` : ''}
+      <p id="memeRankNote" class="meme-rank-note">Higher entries reflect more widely shared truth.</p>
       <div id="memeContainer" class="loading">
         Loading memes...
       </div>
+      <div id="loadMoreSection" class="load-more" style="display: none;">
+        <button id="loadMoreBtn" data-action="loadMoreMemes">LOAD MORE</button>
+      </div>
     </div>
     <div class="meme-axis" aria-hidden="true">
       <span class="axis-label axis-top"> <- Higher shared truth</span>
@@ -1159,7 +5425,8 @@ function getHTML() {
   </div>
 
   <div style="text-align: center; margin-top: 20px;">
-    <a href="#" onclick="openSuggestionPanel(); return false;" style="color: #1976d2; text-decoration: none;">Make a suggestion →</a>
+    <a href="#" data-action="openSuggestionPanel" style="color: #1976d2; text-decoration: none;">Make a suggestion →</a>
+    · <a href="/roadmap" style="color: #1976d2; text-decoration: none;">Roadmap →</a>
   </div>
 
   <div id="suggestionPanel" class="suggestion-section" style="display: none;">
@@ -1168,18 +5435,47 @@ function getHTML() {
     <textarea id="suggestionInput" placeholder="Share your idea..."></textarea>
     <div class="suggestion-controls">
       <input type="text" id="suggestionContact" placeholder="Contact (optional)">
-      <button id="suggestionBtn" onclick="submitSuggestion()">SEND SUGGESTION</button>
-      <button onclick="closeSuggestionPanel()">CANCEL</button>
+      <button id="suggestionBtn" data-action="submitSuggestion">SEND SUGGESTION</button>
+      <button data-action="closeSuggestionPanel">CANCEL</button>
     </div>
     <div id="suggestionStatus"></div>
+    <div id="ownSuggestions" class="own-suggestions"></div>
     </div>
 
-    <script>
+    <script nonce="${nonce}">
+    ${escapeHTML.toString()}
+
+    ${renderMarkdown.toString()}
+
+    ${profileLink.toString()}
+
+  // Everything on this page reads from and writes to one pool
+  const POOL = ${JSON.stringify(toPublicPool(pool)).replace(/</g, '\\u003c')};
+  const API_BASE = '/api/pools/' + POOL.slug;
+  const POOL_PAGE = POOL.page;
   let memes = [];
+  let nextCursor = null;
+  let currentSort = 'fitness';
+  let currentTag = null;
+  const MEME_PAGE_SIZE = 20;
+  const MAX_MEME_PAGE_SIZE = 100;
     let currentUser = null;
     let pendingEmail = null;
     let profileEditorOpen = false;
   let suggestionStatusTimeout = null;
+  const pendingIdempotencyKeys = new Map();
+  const openLineageViews = new Set();
+  const lineageCache = new Map();
+  const openHistoryViews = new Set();
+  const historyCache = new Map();
+
+    const sortNotes = {
+      fitness: 'Higher entries reflect more widely shared truth.',
+      new: 'Newest replications first.',
+      active: 'Memes with the most recent interactions first.',
+      controversial: 'Memes drawing both many refutations and much praise.',
+      hot: 'Fitness weighed against age: strong, recent memes rise.'
+    };
 
     const usernameAdjectives = [
       'curious', 'bold', 'clever', 'lively', 'radiant', 'vivid', 'brisk', 'lucid', 'noble', 'brave',
@@ -1223,8 +5519,296 @@ function getHTML() {
     }, 6000);
   }
         
+    // Double-submit CSRF: echo the csrf_token cookie back in a header the server compares against
+    function csrfHeaders(headers = {}) {
+      const match = document.cookie.match(/(?:^|;\\s*)csrf_token=([^;]+)/);
+      return match ? { ...headers, 'X-CSRF-Token': decodeURIComponent(match[1]) } : headers;
+    }
+
+    // Retrying the exact same submission after a network failure reuses its key,
+    // so the server replays the first outcome instead of applying it twice
+    async function postWithIdempotency(url, payload) {
+      const body = JSON.stringify(payload);
+      const pendingKey = url + ' ' + body;
+      let key = pendingIdempotencyKeys.get(pendingKey);
+      if (!key) {
+        key = crypto.randomUUID();
+        pendingIdempotencyKeys.set(pendingKey, key);
+      }
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: csrfHeaders({ 'Content-Type': 'application/json', 'Idempotency-Key': key }),
+        body
+      });
+
+      if (response.status < 500) {
+        pendingIdempotencyKeys.delete(pendingKey);
+      }
+
+      noteRateLimit(response);
+      return response;
+    }
+
+    let rateLimitTimer = null;
+
+    // A 429 carries Retry-After; count it down in a banner instead of surfacing a generic error
+    function noteRateLimit(response) {
+      if (response.status !== 429) {
+        return false;
+      }
+
+      const banner = document.getElementById('rateLimitBanner');
+      let remaining = Math.max(1, parseInt(response.headers.get('Retry-After'), 10) || 60);
+
+      const render = () => {
+        const minutes = Math.floor(remaining / 60);
+        const seconds = remaining % 60;
+        const clock = minutes > 0 ? minutes + 'm ' + String(seconds).padStart(2, '0') + 's' : seconds + 's';
+        banner.textContent = 'Slow down! You can try again in ' + clock + '.';
+      };
+
+      clearInterval(rateLimitTimer);
+      render();
+      banner.classList.add('show');
+      rateLimitTimer = setInterval(() => {
+        remaining -= 1;
+        if (remaining <= 0) {
+          clearInterval(rateLimitTimer);
+          banner.classList.remove('show');
+          return;
+        }
+        render();
+      }, 1000);
+
+      return true;
+    }
+
+    // The Content-Security-Policy blocks inline handlers, so controls declare data-action
+    // (with data-meme-id, data-interaction-id or data-type as arguments) and are routed from here
+    const actions = {
+      requestLogin: () => requestLogin(),
+      verifyCode: () => verifyCode(),
+      openProfileEditor: () => toggleProfileEditor(true),
+      closeProfileEditor: () => toggleProfileEditor(false),
+      saveProfile: () => saveProfile(),
+      suggestUsername: () => suggestUsername(),
+      logout: () => logout(),
+      logoutEverywhere: () => logoutEverywhere(),
+      revokeSession: target => revokeSession(target.dataset.sessionId, target.dataset.current === 'true'),
+      submitMeme: () => submitMeme(),
+      filterTag: target => filterByTag(target.dataset.tag),
+      toggleMembership: () => toggleMembership(),
+      forceSubmitMeme: () => submitMeme(true),
+      refineDuplicate: target => refineDuplicate(Number(target.dataset.memeId)),
+      dismissDuplicates: () => dismissDuplicates(),
+      loadMoreMemes: () => loadMoreMemes(),
+      openSuggestionPanel: () => openSuggestionPanel(),
+      closeSuggestionPanel: () => closeSuggestionPanel(),
+      submitSuggestion: () => submitSuggestion(),
+      interactWithMeme: target => interactWithMeme(Number(target.dataset.memeId), target.dataset.type),
+      submitInteraction: target => submitInteraction(Number(target.dataset.memeId), target.dataset.type),
+      submitPraise: target => submitPraise(Number(target.dataset.memeId)),
+      toggleLineage: target => toggleLineage(Number(target.dataset.memeId)),
+      toggleHistory: target => toggleHistory(Number(target.dataset.memeId)),
+      editMeme: target => editMeme(Number(target.dataset.memeId)),
+      saveMemeEdit: target => saveMemeEdit(Number(target.dataset.memeId)),
+      editInteraction: target => editInteraction(Number(target.dataset.interactionId)),
+      saveInteractionEdit: target => saveInteractionEdit(Number(target.dataset.interactionId)),
+      withdrawInteraction: target => withdrawInteraction(Number(target.dataset.interactionId)),
+      clearSearch: () => clearSearch(),
+      loadMoreSearch: () => runSearch(true),
+      toggleFlagForm: target => toggleFlagForm(target.dataset.targetType, Number(target.dataset.targetId)),
+      submitFlag: target => submitFlag(target.dataset.targetType, Number(target.dataset.targetId))
+    };
+
+    document.addEventListener('click', event => {
+      const target = event.target.closest('[data-action]');
+      if (!target || !actions.hasOwnProperty(target.dataset.action)) {
+        return;
+      }
+      event.preventDefault();
+      actions[target.dataset.action](target);
+    });
+
+    document.getElementById('sortSelect').addEventListener('change', event => changeSort(event.target.value));
+
+    let searchTimer = null;
+    document.getElementById('searchInput').addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => runSearch(false), 250);
+    });
+
         // Load initial state
+    initSort();
         checkAuthAndLoad();
+    loadTags();
+    loadPools();
+
+    function initSort() {
+      const query = new URLSearchParams(window.location.search);
+      const requested = query.get('sort');
+      currentTag = query.get('tag') || null;
+      currentSort = sortNotes.hasOwnProperty(requested) ? requested : 'fitness';
+      document.getElementById('sortSelect').value = currentSort;
+      document.getElementById('memeRankNote').textContent = sortNotes[currentSort];
+    }
+
+    async function changeSort(sort) {
+      if (!sortNotes.hasOwnProperty(sort) || sort === currentSort) {
+        return;
+      }
+
+      currentSort = sort;
+      const url = new URL(window.location.href);
+      if (sort === 'fitness') {
+        url.searchParams.delete('sort');
+      } else {
+        url.searchParams.set('sort', sort);
+      }
+      history.replaceState(null, '', url.pathname + url.search + url.hash);
+      document.getElementById('memeRankNote').textContent = sortNotes[sort];
+
+      memes = [];
+      nextCursor = null;
+      document.getElementById('memeContainer').innerHTML = '<div class="loading">Loading memes...</div>';
+      await loadMemes();
+    }
+
+    // Like the sort, the tag filter lives in the URL so filtered views can be shared
+    async function filterByTag(tag) {
+      currentTag = tag && tag !== currentTag ? tag : null;
+      const url = new URL(window.location.href);
+      if (currentTag) {
+        url.searchParams.set('tag', currentTag);
+      } else {
+        url.searchParams.delete('tag');
+      }
+      history.replaceState(null, '', url.pathname + url.search + url.hash);
+
+      memes = [];
+      nextCursor = null;
+      renderTagBar();
+      document.getElementById('memeContainer').innerHTML = '<div class="loading">Loading memes...</div>';
+      await loadMemes();
+    }
+
+    let popularTags = [];
+
+    async function loadTags() {
+      try {
+        const response = await fetch(API_BASE + '/tags');
+        const data = await response.json();
+        popularTags = response.ok ? data.tags : [];
+      } catch (error) {
+        console.error('Error loading tags:', error);
+        popularTags = [];
+      }
+      renderTagBar();
+    }
+
+    function renderTagBar() {
+      const bar = document.getElementById('tagBar');
+      const tags = popularTags.slice(0, 15);
+
+      // Keep a filter from a shared link visible even if the tag isn't among the most used
+      if (currentTag && !tags.some(tag => tag.name === currentTag)) {
+        tags.unshift({ name: currentTag, meme_count: null });
+      }
+
+      if (tags.length === 0) {
+        bar.innerHTML = '';
+        return;
+      }
+
+      bar.innerHTML = '<a href="' + POOL_PAGE + '" class="tag-chip' + (currentTag ? '' : ' active') + '" data-action="filterTag" data-tag="">all</a>' +
+        tags.map(tag =>
+          '<a href="' + POOL_PAGE + '?tag=' + encodeURIComponent(tag.name) + '" class="tag-chip' + (tag.name === currentTag ? ' active' : '') + '" data-action="filterTag" data-tag="' + escapeHTML(tag.name) + '">#' +
+            escapeHTML(tag.name) + (tag.meme_count === null ? '' : ' <span class="tag-count">' + tag.meme_count + '</span>') +
+          '</a>'
+        ).join('');
+    }
+
+    function renderTagChips(tags) {
+      if (!tags || tags.length === 0) {
+        return '';
+      }
+      return '<div class="meme-tags">' + tags.map(tag =>
+        '<a href="' + POOL_PAGE + '?tag=' + encodeURIComponent(tag) + '" class="tag-chip" data-action="filterTag" data-tag="' + escapeHTML(tag) + '">#' + escapeHTML(tag) + '</a>'
+      ).join('') + '</div>';
+    }
+
+    let pools = [];
+
+    // Public pools plus the ones you belong to; the current pool stays listed even when unlisted
+    async function loadPools() {
+      try {
+        const response = await fetch('/api/pools');
+        const data = await response.json();
+        pools = response.ok ? data.pools : [];
+      } catch (error) {
+        console.error('Error loading pools:', error);
+        pools = [];
+      }
+
+      const current = pools.find(pool => pool.slug === POOL.slug);
+      if (current) {
+        POOL.role = current.role;
+      }
+      renderPoolNav();
+    }
+
+    function renderPoolNav() {
+      const nav = document.getElementById('poolNav');
+      const list = pools.some(pool => pool.slug === POOL.slug) ? pools : [POOL, ...pools];
+
+      nav.innerHTML = list.length < 2 ? '' : 'Pools: ' + list.map(pool =>
+        '<a href="' + pool.page + '" class="pool-chip' + (pool.slug === POOL.slug ? ' active' : '') + '">' + escapeHTML(pool.name) + '</a>'
+      ).join('');
+      renderMembershipButton();
+    }
+
+    // Everyone is in the default pool already, and members-only pools are joined by invitation
+    function renderMembershipButton() {
+      const button = document.getElementById('membershipBtn');
+      const joinable = POOL.role || POOL.visibility !== 'members_only';
+
+      if (!currentUser || POOL_PAGE === '/' || !joinable) {
+        button.style.display = 'none';
+        return;
+      }
+
+      button.style.display = 'inline-block';
+      button.textContent = POOL.role ? 'LEAVE POOL' : 'JOIN POOL';
+    }
+
+    async function toggleMembership() {
+      const button = document.getElementById('membershipBtn');
+      button.disabled = true;
+
+      try {
+        const response = await fetch(API_BASE + '/membership', { method: POOL.role ? 'DELETE' : 'POST', headers: csrfHeaders() });
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+          POOL.role = data.role;
+          await loadPools();
+        } else {
+          alert(data.error || 'Failed to update your membership');
+        }
+      } catch (error) {
+        console.error('Error updating membership:', error);
+        alert('Network error. Please try again.');
+      } finally {
+        button.disabled = false;
+        renderMembershipButton();
+      }
+    }
+
+    // "ideas, Epistemology #science" -> ['ideas', 'epistemology', 'science']
+    function parseTagInput(value) {
+      return value.split(/[\\s,]+/).map(tag => tag.replace(/^#/, '').toLowerCase()).filter(Boolean);
+    }
         
         async function checkAuthAndLoad() {
             await checkAuth();
@@ -1260,6 +5844,7 @@ function getHTML() {
         editor.classList.remove('show');
       }
       profileEditorOpen = false;
+      renderMembershipButton();
         }
         
         function showLoginInterface() {
@@ -1279,6 +5864,7 @@ function getHTML() {
       }
       profileEditorOpen = false;
       updateUserSummary();
+      renderMembershipButton();
         }
 
     function updateUserSummary() {
@@ -1289,6 +5875,9 @@ function getHTML() {
         return;
       }
 
+      const adminLink = document.getElementById('adminLink');
+      adminLink.style.display = currentUser && (currentUser.role === 'moderator' || currentUser.role === 'admin') ? 'inline-block' : 'none';
+
       if (!currentUser) {
         emailEl.textContent = '';
         handleEl.textContent = '';
@@ -1304,8 +5893,8 @@ function getHTML() {
         return;
       }
 
-            const namePart = currentUser.name ? currentUser.name + ' (' + currentUser.email + ')' : currentUser.email;
-      emailEl.textContent = 'Logged in as: ' + namePart;
+      emailEl.textContent = 'Logged in as: ' + currentUser.email + ' · shown publicly as ' + currentUser.display_name +
+        (currentUser.suspended ? ' · account suspended' : '');
 
       if (currentUser.username) {
         handleEl.textContent = '@' + currentUser.username;
@@ -1348,10 +5937,13 @@ function getHTML() {
 
       if (open) {
         editor.classList.add('show');
+        document.getElementById('displayNameInput').value = currentUser.name && !currentUser.name.includes('@') ? currentUser.name : '';
+        document.getElementById('displayPreferenceSelect').value = currentUser.display_preference || 'handle';
         input.value = currentUser.username || buildUsernameSuggestion();
         input.focus();
         input.select();
         messageDiv.innerHTML = '';
+        loadSessions();
       } else {
         editor.classList.remove('show');
         messageDiv.innerHTML = '';
@@ -1378,14 +5970,16 @@ function getHTML() {
       input.select();
     }
 
-    async function saveUsername() {
+    async function saveProfile() {
       if (!currentUser) {
         return;
       }
 
       const input = document.getElementById('usernameInput');
       const messageDiv = document.getElementById('profileMessage');
-      const saveBtn = document.getElementById('saveUsernameBtn');
+      const saveBtn = document.getElementById('saveProfileBtn');
+      const displayName = document.getElementById('displayNameInput').value.trim();
+      const displayPreference = document.getElementById('displayPreferenceSelect').value;
 
       if (!input || !messageDiv || !saveBtn) {
         return;
@@ -1398,25 +5992,32 @@ function getHTML() {
         return;
       }
 
+      if (displayPreference === 'name' && !displayName) {
+        messageDiv.innerHTML = '<div class="error">Enter a display name to be shown by it.</div>';
+        return;
+      }
+
+      const update = { username: candidate, display_preference: displayPreference };
+      if (displayName) {
+        update.name = displayName;
+      }
+
       saveBtn.disabled = true;
       messageDiv.innerHTML = '';
 
       try {
         const response = await fetch('/api/profile', {
           method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ username: candidate })
+          headers: csrfHeaders({ 'Content-Type': 'application/json' }),
+          body: JSON.stringify(update)
         });
 
         const data = await response.json();
 
         if (response.ok && data?.profile) {
-          currentUser.username = data.profile.username;
-          if (data.profile.name) {
-            currentUser.name = data.profile.name;
-          }
+          Object.assign(currentUser, data.profile);
           updateUserSummary();
-          messageDiv.innerHTML = '<div class="success">Username updated!</div>';
+          messageDiv.innerHTML = '<div class="success">Profile updated!</div>';
           setTimeout(() => {
             if (profileEditorOpen) {
               toggleProfileEditor(false);
@@ -1424,11 +6025,11 @@ function getHTML() {
           }, 800);
           await loadMemes();
         } else {
-                    const errorMsg = (data && data.error) ? data.error : 'Failed to update username';
-                    messageDiv.innerHTML = '<div class="error">' + errorMsg + '</div>';
+                    const errorMsg = (data && data.error) ? data.error : 'Failed to update profile';
+                    messageDiv.innerHTML = '<div class="error">' + escapeHTML(errorMsg) + '</div>';
         }
       } catch (error) {
-        console.error('Username update failed:', error);
+        console.error('Profile update failed:', error);
         messageDiv.innerHTML = '<div class="error">Network error. Please try again.</div>';
       } finally {
         saveBtn.disabled = false;
@@ -1455,16 +6056,17 @@ function getHTML() {
             try {
                 const response = await fetch('/api/auth/login', {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
+                    headers: csrfHeaders({ 'Content-Type': 'application/json' }),
                     body: JSON.stringify({ email })
                 });
 
+                noteRateLimit(response);
                 const data = await response.json();
 
                 if (data.success) {
                     pendingEmail = email;
                     emailInput.disabled = true;
-                    messageDiv.innerHTML = '<div class="success">' + (data.message || 'Check your email for the 6-digit verification code!') + '</div>';
+                    messageDiv.innerHTML = '<div class="success">' + escapeHTML(data.message || 'Check your email for the 6-digit verification code!') + '</div>';
                     loginBtn.textContent = 'EMAIL SENT!';
                     codeSection.style.display = 'block';
           codeInput.value = '';
@@ -1474,7 +6076,7 @@ function getHTML() {
                         loginBtn.textContent = 'SEND LOGIN CODE';
                     }, 5000);
                 } else {
-                    messageDiv.innerHTML = '<div class="error">' + (data.error || 'Login failed') + '</div>';
+                    messageDiv.innerHTML = '<div class="error">' + escapeHTML(data.error || 'Login failed') + '</div>';
                     loginBtn.disabled = false;
                     loginBtn.textContent = 'SEND LOGIN CODE';
                     pendingEmail = null;
@@ -1517,10 +6119,11 @@ function getHTML() {
             try {
                 const response = await fetch('/api/auth/verify', {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
+                    headers: csrfHeaders({ 'Content-Type': 'application/json' }),
                     body: JSON.stringify({ email: pendingEmail, code })
                 });
                 
+                noteRateLimit(response);
                 const data = await response.json();
                 
                 if (response.ok && data.success) {
@@ -1536,8 +6139,10 @@ function getHTML() {
                     verifyBtn.textContent = 'VERIFY CODE';
                     await checkAuth();
                     await loadMemes();
+                } else if (data.redirect) {
+                    window.location.href = data.redirect;
                 } else {
-                    messageDiv.innerHTML = '<div class="error">' + (data.error || 'Verification failed. Please try again.') + '</div>';
+                    messageDiv.innerHTML = '<div class="error">' + escapeHTML(data.error || 'Verification failed. Please try again.') + '</div>';
                     verifyBtn.disabled = false;
                     verifyBtn.textContent = 'VERIFY CODE';
                 }
@@ -1549,9 +6154,71 @@ function getHTML() {
             }
         }
         
+    async function loadSessions() {
+      const list = document.getElementById('sessionList');
+      if (!list) {
+        return;
+      }
+
+      try {
+        const response = await fetch('/api/sessions');
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to load sessions');
+        }
+
+        list.innerHTML = data.sessions.map(session => \`
+          <div class="session-row">
+            <div>
+              <div class="session-agent">\${escapeHTML(session.user_agent || 'Unknown device')}\${session.current ? ' (this device)' : ''}</div>
+              <div class="session-meta">Signed in \${new Date(session.created_at + 'Z').toLocaleString()} · last seen \${new Date((session.last_seen_at || session.created_at) + 'Z').toLocaleString()}</div>
+            </div>
+            <button data-action="revokeSession" data-session-id="\${escapeHTML(session.id)}" data-current="\${session.current}">REVOKE</button>
+          </div>
+        \`).join('');
+      } catch (error) {
+        list.innerHTML = '<div class="error">' + escapeHTML(error.message) + '</div>';
+      }
+    }
+
+    async function revokeSession(sessionId, isCurrent) {
+      try {
+        const response = await fetch('/api/sessions/' + sessionId, { method: 'DELETE', headers: csrfHeaders() });
+        if (!response.ok) {
+          const data = await response.json();
+          throw new Error(data.error || 'Failed to revoke session');
+        }
+
+        if (isCurrent) {
+          currentUser = null;
+          showLoginInterface();
+          await loadMemes();
+        } else {
+          await loadSessions();
+        }
+      } catch (error) {
+        document.getElementById('sessionList').innerHTML = '<div class="error">' + escapeHTML(error.message) + '</div>';
+      }
+    }
+
+    async function logoutEverywhere() {
+      if (!confirm('Log out of every device, including this one?')) {
+        return;
+      }
+
+      try {
+        await fetch('/api/sessions', { method: 'DELETE', headers: csrfHeaders() });
+        currentUser = null;
+        showLoginInterface();
+        await loadMemes();
+      } catch (error) {
+        console.error('Logout error:', error);
+      }
+    }
+
         async function logout() {
             try {
-                await fetch('/api/auth/logout', { method: 'POST' });
+                await fetch('/api/auth/logout', { method: 'POST', headers: csrfHeaders() });
                 currentUser = null;
                 showLoginInterface();
                 await loadMemes(); // Refresh to update interaction availability
@@ -1561,17 +6228,13 @@ function getHTML() {
         }
         
         async function loadMemes() {
+            // Re-fetch everything already on screen so a refresh doesn't collapse the list
+            const limit = Math.min(Math.max(memes.length, MEME_PAGE_SIZE), MAX_MEME_PAGE_SIZE);
+
             try {
-                const response = await fetch('/api/memes');
-                
-                if (!response.ok) {
-                    console.error('Failed to load memes:', response.status, response.statusText);
-                    throw new Error('Failed to load memes');
-                }
-                
-                const data = await response.json();
-                memes = data;
-    sortMemes();
+                const data = await fetchMemePage(limit, null);
+                memes = data.memes || [];
+                nextCursor = data.next_cursor || null;
                 renderMemes();
             } catch (error) {
                 console.error('Error loading memes:', error);
@@ -1579,8 +6242,63 @@ function getHTML() {
                     '<div class="error">Failed to load memes. Please refresh the page.</div>';
             }
         }
+
+    async function loadMoreMemes() {
+      if (!nextCursor) {
+        return;
+      }
+
+      const button = document.getElementById('loadMoreBtn');
+      button.disabled = true;
+      button.textContent = 'LOADING...';
+
+      try {
+        const data = await fetchMemePage(MEME_PAGE_SIZE, nextCursor);
+        // Pages come from a pinned ranking, but one that ran past its snapshot is ranked afresh
+        const seen = new Set(memes.map(meme => meme.id));
+        (data.memes || []).forEach(meme => {
+          if (!seen.has(meme.id)) {
+            memes.push(meme);
+          }
+        });
+        nextCursor = data.next_cursor || null;
+        renderMemes();
+      } catch (error) {
+        console.error('Error loading more memes:', error);
+        if (error.code === 'cursor_expired') {
+          await loadMemes();
+          return;
+        }
+        alert('Failed to load more memes. Please try again.');
+      } finally {
+        button.disabled = false;
+        button.textContent = 'LOAD MORE';
+      }
+    }
+
+    async function fetchMemePage(limit, cursor) {
+      const params = new URLSearchParams({ limit: String(limit), sort: currentSort });
+      if (currentTag) {
+        params.set('tag', currentTag);
+      }
+      if (cursor) {
+        params.set('cursor', cursor);
+      }
+
+      const response = await fetch(API_BASE + '/memes?' + params.toString());
+
+      if (!response.ok) {
+        console.error('Failed to load memes:', response.status, response.statusText);
+        const data = await response.json().catch(() => ({}));
+        const error = new Error(data.error || 'Failed to load memes');
+        error.code = data.code;
+        throw error;
+      }
+
+      return response.json();
+    }
         
-        async function submitMeme() {
+        async function submitMeme(force = false) {
             if (!currentUser) {
                 document.getElementById('submitMessage').innerHTML = 
                     '<div class="error">Please login to submit memes!</div>';
@@ -1601,20 +6319,20 @@ function getHTML() {
             messageDiv.innerHTML = '';
             
             try {
-                const response = await fetch('/api/memes', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ content })
-                });
+                const tags = parseTagInput(document.getElementById('memeTags').value);
+                const response = await postWithIdempotency(API_BASE + '/memes', force ? { content, tags, force: true } : { content, tags });
                 
                 const data = await response.json();
                 
                 if (data.success) {
                     document.getElementById('memeContent').value = '';
+                    document.getElementById('memeTags').value = '';
                     messageDiv.innerHTML = '<div class="success">Meme replicated successfully!</div>';
-                    await loadMemes();
+                    await Promise.all([loadMemes(), loadTags()]);
+                } else if (response.status === 409 && data.code === 'possible_duplicate') {
+                    showDuplicateMatches(data.matches);
                 } else {
-                    messageDiv.innerHTML = '<div class="error">' + (data.error || 'Failed to submit meme') + '</div>';
+                    messageDiv.innerHTML = '<div class="error">' + escapeHTML(data.error || 'Failed to submit meme') + '</div>';
                 }
                 
             } catch (error) {
@@ -1632,6 +6350,62 @@ function getHTML() {
             }
         }
         
+    // "Did you mean": the user can back a close variant by refining it, or post theirs anyway
+    function showDuplicateMatches(matches) {
+      document.getElementById('submitMessage').innerHTML =
+        '<div class="duplicate-prompt">' +
+          '<strong>Did you mean one of these?</strong> Replicating the same idea twice splits its fitness.' +
+          matches.map(match =>
+            '<div class="duplicate-match">' +
+              '<div>' + renderMarkdown(match.meme.content) + '</div>' +
+              '<div class="duplicate-meta">' +
+                '<a href="/m/' + match.meme.id + '">#' + match.meme.id + '</a> by ' + escapeHTML(match.meme.author_display) +
+                ' • fitness ' + match.meme.score + ' • ' + Math.round(match.similarity * 100) + '% similar' +
+              '</div>' +
+              (match.similarity < 1
+                ? '<button data-action="refineDuplicate" data-meme-id="' + match.meme.id + '">ADD MY WORDING AS A REFINEMENT</button>'
+                : '') +
+            '</div>'
+          ).join('') +
+          '<div class="duplicate-controls">' +
+            '<button data-action="forceSubmitMeme">POST AS A NEW MEME ANYWAY</button> ' +
+            '<button data-action="dismissDuplicates">EDIT MY MEME</button>' +
+          '</div>' +
+        '</div>';
+    }
+
+    function dismissDuplicates() {
+      document.getElementById('submitMessage').innerHTML = '';
+      document.getElementById('memeContent').focus();
+    }
+
+    async function refineDuplicate(memeId) {
+      const content = document.getElementById('memeContent').value.trim();
+      const messageDiv = document.getElementById('submitMessage');
+
+      try {
+        const response = await postWithIdempotency(API_BASE + '/interactions', {
+          meme_id: memeId,
+          type: 'refine',
+          comment: '',
+          refined_content: content
+        });
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+          document.getElementById('memeContent').value = '';
+          messageDiv.innerHTML = '<div class="success">Added as a refinement of #' + memeId + '.</div>';
+          lineageCache.delete(memeId);
+          await loadMemes();
+        } else if (response.status !== 429) {
+          messageDiv.innerHTML = '<div class="error">' + escapeHTML(data.error || 'Failed to add refinement') + '</div>';
+        }
+      } catch (error) {
+        console.error('Error adding refinement:', error);
+        messageDiv.innerHTML = '<div class="error">Network error. Please try again.</div>';
+      }
+    }
+
         function interactWithMeme(memeId, type) {
             if (!currentUser) {
                 alert('Please login to interact with memes!');
@@ -1650,24 +6424,32 @@ function getHTML() {
         async function submitInteraction(memeId, type) {
             const comment = document.getElementById(\`comment-\${memeId}-\${type}\`).value.trim();
             const submitBtn = document.getElementById(\`submit-\${memeId}-\${type}\`);
+      const refinedInput = type === 'refine' ? document.getElementById('refined-' + memeId) : null;
+      const refinedContent = refinedInput ? refinedInput.value.trim() : '';
             
             submitBtn.disabled = true;
             submitBtn.textContent = 'Submitting...';
             
             try {
-                const response = await fetch('/api/interactions', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ meme_id: memeId, type, comment })
+                const response = await postWithIdempotency(API_BASE + '/interactions', {
+                    meme_id: memeId,
+                    type,
+                    comment,
+                    refined_content: refinedContent,
+                    meme_version: memeVersionOf(memeId)
                 });
                 
                 const data = await response.json();
                 
                 if (data.success) {
                     document.getElementById('comment-' + memeId + '-' + type).value = '';
+          if (refinedInput) {
+            refinedInput.value = '';
+          }
                     document.getElementById('form-' + memeId + '-' + type).style.display = 'none';
+          lineageCache.delete(memeId);
                     await loadMemes();
-                } else {
+                } else if (response.status !== 429) {
                     alert(data.error || 'Failed to submit interaction');
                 }
                 
@@ -1680,6 +6462,474 @@ function getHTML() {
             }
         }
 
+    function memeVersionOf(memeId) {
+      const meme = memes.find(candidate => candidate.id === memeId);
+      return meme ? meme.version : undefined;
+    }
+
+    function editMeme(memeId) {
+      const meme = memes.find(candidate => candidate.id === memeId);
+      const container = document.getElementById('meme-edit-' + memeId);
+      if (!meme || !container) {
+        return;
+      }
+
+      if (container.style.display === 'block') {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+      }
+
+      container.innerHTML =
+        '<textarea id="meme-edit-content-' + memeId + '"></textarea>' +
+        '<button id="meme-edit-save-' + memeId + '" data-action="saveMemeEdit" data-meme-id="' + memeId + '">SAVE NEW VERSION</button>' +
+        '<button data-action="editMeme" data-meme-id="' + memeId + '">CANCEL</button>';
+      const textarea = document.getElementById('meme-edit-content-' + memeId);
+      textarea.value = meme.content;
+      textarea.dataset.baseVersion = meme.version;
+      container.style.display = 'block';
+      textarea.focus();
+    }
+
+    async function saveMemeEdit(memeId) {
+      const textarea = document.getElementById('meme-edit-content-' + memeId);
+      const saveBtn = document.getElementById('meme-edit-save-' + memeId);
+      const content = textarea.value.trim();
+
+      if (!content) {
+        alert('Content is required');
+        return;
+      }
+
+      saveBtn.disabled = true;
+      saveBtn.textContent = 'SAVING...';
+
+      try {
+        const response = await fetch(API_BASE + '/memes/' + memeId, {
+          method: 'PUT',
+          headers: csrfHeaders({ 'Content-Type': 'application/json' }),
+          body: JSON.stringify({ content, expected_version: Number(textarea.dataset.baseVersion) })
+        });
+
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+          historyCache.delete(memeId);
+          await loadMemes();
+        } else {
+          alert(data.error || 'Failed to save meme');
+        }
+      } catch (error) {
+        console.error('Error saving meme:', error);
+        alert('Network error. Please try again.');
+      } finally {
+        saveBtn.disabled = false;
+        saveBtn.textContent = 'SAVE NEW VERSION';
+      }
+    }
+
+    async function toggleHistory(memeId) {
+      const view = document.getElementById('history-' + memeId);
+      if (!view) {
+        return;
+      }
+
+      if (openHistoryViews.has(memeId)) {
+        openHistoryViews.delete(memeId);
+        view.style.display = 'none';
+        view.innerHTML = '';
+        return;
+      }
+
+      openHistoryViews.add(memeId);
+      view.style.display = 'block';
+      view.innerHTML = '<div class="loading">Loading history...</div>';
+
+      try {
+        const response = await fetch(API_BASE + '/memes/' + memeId + '/versions');
+        if (!response.ok) {
+          throw new Error('Failed to load history');
+        }
+        const data = await response.json();
+        historyCache.set(memeId, data.versions);
+        renderHistory(memeId, data.versions);
+      } catch (error) {
+        console.error('Error loading history:', error);
+        view.innerHTML = '<div class="error">Failed to load history.</div>';
+      }
+    }
+
+    function renderHistory(memeId, versions) {
+      const view = document.getElementById('history-' + memeId);
+      if (!view) {
+        return;
+      }
+
+      let html = '';
+      for (let i = versions.length - 1; i >= 0; i--) {
+        const version = versions[i];
+        const body = i === 0 ? escapeHTML(version.content) : diffWords(versions[i - 1].content, version.content);
+        html += '<div class="history-entry">' +
+          '<div class="history-label">v' + version.version + ' • ' + formatTimeAgo(version.created_at) + '</div>' +
+          '<div>' + body + '</div>' +
+        '</div>';
+      }
+
+      view.innerHTML = html;
+      view.style.display = 'block';
+    }
+
+    // Word-level diff via longest common subsequence; memes are short enough for the O(n*m) table.
+    // Shows the raw source text, escaped, so Markdown edits are visible in the diff
+    function diffWords(before, after) {
+      const a = before.split(/(\\s+)/);
+      const b = after.split(/(\\s+)/);
+      const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+      for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+          table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+        }
+      }
+
+      let html = '';
+      let i = 0;
+      let j = 0;
+      while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+          html += escapeHTML(a[i]);
+          i++;
+          j++;
+        } else if (table[i + 1][j] >= table[i][j + 1]) {
+          html += '<del>' + escapeHTML(a[i]) + '</del>';
+          i++;
+        } else {
+          html += '<ins>' + escapeHTML(b[j]) + '</ins>';
+          j++;
+        }
+      }
+      while (i < a.length) {
+        html += '<del>' + escapeHTML(a[i++]) + '</del>';
+      }
+      while (j < b.length) {
+        html += '<ins>' + escapeHTML(b[j++]) + '</ins>';
+      }
+      return html;
+    }
+
+    function findInteraction(interactionId) {
+      for (const meme of memes) {
+        const match = (meme.interactions || []).find(interaction => interaction.id === interactionId);
+        if (match) {
+          return match;
+        }
+      }
+      return null;
+    }
+
+    function editInteraction(interactionId) {
+      const interaction = findInteraction(interactionId);
+      const container = document.getElementById('edit-interaction-' + interactionId);
+      if (!interaction || !container) {
+        return;
+      }
+
+      if (container.style.display === 'block') {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+      }
+
+      container.innerHTML =
+        '<select id="edit-type-' + interactionId + '">' +
+          '<option value="refute">REFUTE</option>' +
+          '<option value="refine">REFINE</option>' +
+          '<option value="praise">PRAISE</option>' +
+        '</select>' +
+        '<textarea id="edit-comment-' + interactionId + '"></textarea>' +
+        '<button id="edit-save-' + interactionId + '" data-action="saveInteractionEdit" data-interaction-id="' + interactionId + '">Save</button>' +
+        '<button data-action="editInteraction" data-interaction-id="' + interactionId + '">Cancel</button>';
+      document.getElementById('edit-type-' + interactionId).value = interaction.type;
+      document.getElementById('edit-comment-' + interactionId).value = interaction.comment || '';
+      container.style.display = 'block';
+    }
+
+    async function saveInteractionEdit(interactionId) {
+      const type = document.getElementById('edit-type-' + interactionId).value;
+      const comment = document.getElementById('edit-comment-' + interactionId).value.trim();
+      const saveBtn = document.getElementById('edit-save-' + interactionId);
+
+      saveBtn.disabled = true;
+      saveBtn.textContent = 'Saving...';
+
+      try {
+        const response = await fetch(API_BASE + '/interactions/' + interactionId, {
+          method: 'PUT',
+          headers: csrfHeaders({ 'Content-Type': 'application/json' }),
+          body: JSON.stringify({ type, comment })
+        });
+
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+          await loadMemes();
+        } else {
+          alert(data.error || 'Failed to update interaction');
+        }
+      } catch (error) {
+        console.error('Error updating interaction:', error);
+        alert('Network error. Please try again.');
+      } finally {
+        saveBtn.disabled = false;
+        saveBtn.textContent = 'Save';
+      }
+    }
+
+    async function withdrawInteraction(interactionId) {
+      if (!confirm('Withdraw this interaction? Its effect on the fitness score will be reversed.')) {
+        return;
+      }
+
+      try {
+        const response = await fetch(API_BASE + '/interactions/' + interactionId, { method: 'DELETE', headers: csrfHeaders() });
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+          await loadMemes();
+        } else {
+          alert(data.error || 'Failed to withdraw interaction');
+        }
+      } catch (error) {
+        console.error('Error withdrawing interaction:', error);
+        alert('Network error. Please try again.');
+      }
+    }
+
+    function toggleFlagForm(targetType, targetId) {
+      const container = document.getElementById('flag-' + targetType + '-' + targetId);
+      if (!container) {
+        return;
+      }
+
+      if (container.style.display === 'block') {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+      }
+
+      const formId = targetType + '-' + targetId;
+      container.innerHTML =
+        '<select id="flag-reason-' + formId + '">' +
+          '<option value="spam">Spam</option>' +
+          '<option value="harassment">Harassment</option>' +
+          '<option value="off_topic">Off topic</option>' +
+          '<option value="other">Other</option>' +
+        '</select>' +
+        '<input id="flag-note-' + formId + '" type="text" maxlength="500" placeholder="Optional note for moderators">' +
+        '<button id="flag-submit-' + formId + '" data-action="submitFlag" data-target-type="' + targetType + '" data-target-id="' + targetId + '">FLAG</button>' +
+        '<button data-action="toggleFlagForm" data-target-type="' + targetType + '" data-target-id="' + targetId + '">CANCEL</button>';
+      container.style.display = 'block';
+    }
+
+    async function submitFlag(targetType, targetId) {
+      const formId = targetType + '-' + targetId;
+      const reason = document.getElementById('flag-reason-' + formId).value;
+      const note = document.getElementById('flag-note-' + formId).value.trim();
+      const submitBtn = document.getElementById('flag-submit-' + formId);
+
+      submitBtn.disabled = true;
+
+      try {
+        const response = await fetch('/api/flags', {
+          method: 'POST',
+          headers: csrfHeaders({ 'Content-Type': 'application/json' }),
+          body: JSON.stringify({ target_type: targetType, target_id: targetId, reason, note })
+        });
+
+        if (noteRateLimit(response)) {
+          return;
+        }
+
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+          alert(data.hidden
+            ? 'Thanks. This has been hidden until a moderator reviews it.'
+            : 'Thanks. A moderator will review it.');
+          await loadMemes();
+        } else {
+          alert(data.error || 'Failed to flag');
+        }
+      } catch (error) {
+        console.error('Error flagging:', error);
+        alert('Network error. Please try again.');
+      } finally {
+        submitBtn.disabled = false;
+      }
+    }
+
+    let searchResults = [];
+    let searchCursor = null;
+    let searchRequest = 0;
+
+    function renderSnippet(segments) {
+      return segments
+        .map(segment => segment.match ? '<mark>' + escapeHTML(segment.text) + '</mark>' : escapeHTML(segment.text))
+        .join('');
+    }
+
+    function renderSearchResults(query) {
+      const container = document.getElementById('searchResults');
+      container.style.display = 'block';
+
+      if (searchResults.length === 0) {
+        container.innerHTML = '<div class="loading">No memes or comments match "' + escapeHTML(query) + '".</div>';
+        return;
+      }
+
+      container.innerHTML = searchResults.map(result => {
+        const context = result.kind === 'interaction'
+          ? escapeHTML(result.interaction_type.toUpperCase()) + ' by ' + escapeHTML(result.author_display) + ' on "' +
+            escapeHTML(result.meme_content.length > 60 ? result.meme_content.slice(0, 57) + '...' : result.meme_content) + '"'
+          : 'Meme by ' + escapeHTML(result.author_display) + ' • fitness ' + result.score;
+        return '<div class="search-result">' +
+          '<a href="/m/' + result.meme_id + '">' + renderSnippet(result.snippet) + '</a>' +
+          '<div class="search-result-meta">' + context + ' • ' + formatTimeAgo(result.created_at) + '</div>' +
+        '</div>';
+      }).join('') +
+      (searchCursor ? '<div class="load-more"><button data-action="loadMoreSearch">MORE RESULTS</button></div>' : '');
+    }
+
+    async function runSearch(append) {
+      const query = document.getElementById('searchInput').value.trim();
+      const requestId = ++searchRequest;
+      document.getElementById('clearSearchBtn').style.display = query ? 'inline-block' : 'none';
+
+      if (!query) {
+        searchResults = [];
+        searchCursor = null;
+        document.getElementById('searchResults').style.display = 'none';
+        return;
+      }
+
+      const params = new URLSearchParams({ q: query });
+      if (append && searchCursor) {
+        params.set('cursor', searchCursor);
+      }
+
+      try {
+        const response = await fetch(API_BASE + '/search?' + params.toString());
+        const data = await response.json();
+
+        // A slower response for an older query must not overwrite newer results
+        if (requestId !== searchRequest) {
+          return;
+        }
+
+        if (!response.ok) {
+          searchResults = [];
+          searchCursor = null;
+          document.getElementById('searchResults').style.display = 'block';
+          document.getElementById('searchResults').innerHTML = '<div class="loading">' + escapeHTML(data.error || 'Search failed') + '</div>';
+          return;
+        }
+
+        searchResults = append ? searchResults.concat(data.results) : data.results;
+        searchCursor = data.next_cursor;
+        renderSearchResults(query);
+      } catch (error) {
+        console.error('Search failed:', error);
+      }
+    }
+
+    function clearSearch() {
+      document.getElementById('searchInput').value = '';
+      runSearch(false);
+    }
+
+    async function toggleLineage(memeId) {
+      const view = document.getElementById('lineage-' + memeId);
+      if (!view) {
+        return;
+      }
+
+      if (openLineageViews.has(memeId)) {
+        openLineageViews.delete(memeId);
+        view.style.display = 'none';
+        view.innerHTML = '';
+        return;
+      }
+
+      openLineageViews.add(memeId);
+      view.style.display = 'block';
+      view.innerHTML = '<div class="loading">Tracing lineage...</div>';
+
+      try {
+        const response = await fetch(API_BASE + '/memes/' + memeId + '/lineage');
+        if (!response.ok) {
+          throw new Error('Failed to load lineage');
+        }
+        const lineage = await response.json();
+        lineageCache.set(memeId, lineage);
+        renderLineage(memeId, lineage);
+      } catch (error) {
+        console.error('Error loading lineage:', error);
+        view.innerHTML = '<div class="error">Failed to load lineage.</div>';
+      }
+    }
+
+    function renderLineage(memeId, lineage) {
+      const view = document.getElementById('lineage-' + memeId);
+      if (!view) {
+        return;
+      }
+
+      const describe = (node, isCurrent) => {
+        const classes = ['lineage-node'];
+        if (isCurrent) {
+          classes.push('current');
+        }
+        if (node.id === lineage.fittest_id) {
+          classes.push('fittest');
+        }
+        return '<div class="' + classes.join(' ') + '">' +
+          '<a href="/m/' + node.id + '">#' + node.id + '</a> ' +
+          '<span class="lineage-score">' + node.score + '</span> ' +
+          renderMarkdown(node.content) +
+          (node.id === lineage.fittest_id ? ' <span class="lineage-badge">fittest</span>' : '') +
+          '</div>';
+      };
+
+      const childrenOf = new Map();
+      lineage.descendants.forEach(node => {
+        if (!childrenOf.has(node.parent_id)) {
+          childrenOf.set(node.parent_id, []);
+        }
+        childrenOf.get(node.parent_id).push(node);
+      });
+
+      const renderBranch = parentId => {
+        const children = childrenOf.get(parentId) || [];
+        if (children.length === 0) {
+          return '';
+        }
+        return '<ul>' + children.map(child => '<li>' + describe(child, false) + renderBranch(child.id) + '</li>').join('') + '</ul>';
+      };
+
+      let html = '';
+      lineage.ancestors.forEach(node => {
+        html += describe(node, false) + '<div class="lineage-arrow">↓</div>';
+      });
+      html += describe(lineage.meme, true) + renderBranch(lineage.meme.id);
+
+      if (lineage.ancestors.length === 0 && lineage.descendants.length === 0) {
+        html += '<div class="lineage-empty">No ancestors or refinements yet.</div>';
+      }
+
+      view.innerHTML = html;
+      view.style.display = 'block';
+    }
+
     function openSuggestionPanel() {
       const panel = document.getElementById('suggestionPanel');
       if (!panel) {
@@ -1691,6 +6941,39 @@ function getHTML() {
       if (messageInput) {
         messageInput.focus();
       }
+      loadOwnSuggestions();
+    }
+
+    const SUGGESTION_STATUS_LABELS = { new: 'received', planned: 'planned', in_progress: 'in progress', done: 'done', declined: 'declined' };
+
+    // Logged-in submitters can follow what happened to their suggestions
+    async function loadOwnSuggestions() {
+      const list = document.getElementById('ownSuggestions');
+      if (!list || !currentUser) {
+        if (list) {
+          list.innerHTML = '';
+        }
+        return;
+      }
+
+      try {
+        const response = await fetch('/api/suggestions/mine');
+        const data = await response.json();
+        if (!response.ok || data.suggestions.length === 0) {
+          list.innerHTML = '';
+          return;
+        }
+
+        list.innerHTML = '<strong>Your suggestions</strong>' + data.suggestions.map(suggestion =>
+          '<div class="own-suggestion">' +
+            '<span class="suggestion-state">' + SUGGESTION_STATUS_LABELS[suggestion.status] + '</span>' +
+            escapeHTML(suggestion.message.length > 120 ? suggestion.message.slice(0, 117) + '...' : suggestion.message) +
+            (suggestion.reply ? '<div class="suggestion-reply">' + renderMarkdown(suggestion.reply) + '</div>' : '') +
+          '</div>'
+        ).join('');
+      } catch (error) {
+        console.error('Error loading your suggestions:', error);
+      }
     }
 
     function closeSuggestionPanel() {
@@ -1719,17 +7002,18 @@ function getHTML() {
       }
 
       try {
-        const response = await fetch('/api/interactions', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ meme_id: memeId, type: 'praise', comment: '' })
+        const response = await postWithIdempotency(API_BASE + '/interactions', {
+          meme_id: memeId,
+          type: 'praise',
+          comment: '',
+          meme_version: memeVersionOf(memeId)
         });
 
         const data = await response.json();
 
         if (response.ok && data.success) {
           await loadMemes();
-        } else {
+        } else if (response.status !== 429) {
           const errorMsg = (data && data.error) ? data.error : 'Failed to submit praise';
           alert(errorMsg);
         }
@@ -1768,11 +7052,7 @@ function getHTML() {
       statusDiv.innerHTML = '';
 
       try {
-        const response = await fetch('/api/suggestions', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ message, contact })
-        });
+        const response = await postWithIdempotency('/api/suggestions', { message, contact });
 
         const data = await response.json();
 
@@ -1787,9 +7067,10 @@ function getHTML() {
             panel.classList.add('submitted');
           }
           scheduleSuggestionStatusClear();
+          loadOwnSuggestions();
         } else {
           const errorMsg = (data && data.error) ? data.error : 'Failed to send suggestion';
-          statusDiv.innerHTML = '<div class="error">' + errorMsg + '</div>';
+          statusDiv.innerHTML = '<div class="error">' + escapeHTML(errorMsg) + '</div>';
         }
       } catch (error) {
         console.error('Suggestion submission failed:', error);
@@ -1801,10 +7082,6 @@ function getHTML() {
       }
     }
         
-      function sortMemes() {
-        memes.sort((a, b) => b.score - a.score);
-      }
-        
         function formatTimeAgo(dateString) {
             const now = new Date();
             const date = new Date(dateString);
@@ -1821,6 +7098,8 @@ function getHTML() {
         
         function renderMemes() {
             const container = document.getElementById('memeContainer');
+      const loadMoreSection = document.getElementById('loadMoreSection');
+      loadMoreSection.style.display = nextCursor ? 'block' : 'none';
             
             if (!memes || memes.length === 0) {
                 container.innerHTML = '<div class="loading">No memes yet. Be the first to submit one!</div>';
@@ -1830,17 +7109,13 @@ function getHTML() {
             container.innerHTML = '';
             
             memes.forEach((meme, index) => {
-                const interactionCount = meme.interactions?.length || meme.interaction_count || 0;
-        const authorDisplay = meme.author_username ? '@' + meme.author_username : (meme.author_name || meme.author || meme.author_email || 'Anonymous');
-        const typeCounts = { refute: 0, refine: 0, praise: 0 };
-
-        if (Array.isArray(meme.interactions)) {
-          meme.interactions.forEach(interaction => {
-            if (interaction && typeCounts.hasOwnProperty(interaction.type)) {
-              typeCounts[interaction.type] += 1;
-            }
-          });
-        }
+                const interactionCount = meme.interaction_count || 0;
+        const authorDisplay = meme.author_display;
+        const typeCounts = {
+          refute: meme.refute_count || 0,
+          refine: meme.refine_count || 0,
+          praise: meme.praise_count || 0
+        };
                 
                 const memeDiv = document.createElement('div');
                 memeDiv.className = 'meme-item';
@@ -1851,20 +7126,46 @@ function getHTML() {
                 let interactionsHtml = '';
                 if (meme.interactions && meme.interactions.length > 0) {
                     interactionsHtml = '<div class="interactions-list">';
-                    meme.interactions.slice(0, 3).forEach(interaction => {
-            const userName = interaction.user_username ? '@' + interaction.user_username : (interaction.user_name || 'Anonymous');
+                    meme.interactions.forEach(interaction => {
+            const userName = interaction.user_display;
                         const typeColor = interaction.type === 'refute' ? '#d32f2f' : 
                                          interaction.type === 'refine' ? '#1976d2' : '#388e3c';
             const commentText = interaction.comment && interaction.comment.trim()
-              ? ': ' + interaction.comment.trim()
+              ? ': ' + renderMarkdown(interaction.comment.trim())
+              : '';
+            const isOwn = currentUser && interaction.user_id === currentUser.id;
+            const ownControls = isOwn
+              ? ' <span class="interaction-controls">' +
+                  '<a href="#" data-action="editInteraction" data-interaction-id="' + interaction.id + '">edit</a> · ' +
+                  '<a href="#" data-action="withdrawInteraction" data-interaction-id="' + interaction.id + '">withdraw</a>' +
+                '</span>'
+              : '';
+            const canFlag = currentUser && !isOwn && interaction.comment && interaction.comment.trim();
+            const flagControls = canFlag
+              ? ' <span class="interaction-controls">' +
+                  '<a href="#" data-action="toggleFlagForm" data-target-type="interaction" data-target-id="' + interaction.id + '">flag</a>' +
+                '</span>'
               : '';
                         interactionsHtml += 
                             '<div class="interaction-item">' +
-                '<strong style="color: ' + typeColor + '">' + interaction.type.toUpperCase() + '</strong> by ' + userName + commentText +
+                '<strong style="color: ' + typeColor + '">' + interaction.type.toUpperCase() + '</strong> by ' + profileLink(userName, interaction.user_username) + commentText +
+                (interaction.updated_at ? ' <span class="interaction-edited">(edited)</span>' : '') +
+                (interaction.weight !== undefined && interaction.weight !== 1
+                  ? ' <span class="interaction-version" title="Counted at this weight because of the reputation of its author">×' + interaction.weight + '</span>'
+                  : '') +
+                (interaction.merged_from
+                  ? ' <span class="interaction-version" title="Made on a duplicate that was merged into this meme">on merged #' + interaction.merged_from + '</span>'
+                  : interaction.meme_version && interaction.meme_version < meme.version
+                    ? ' <span class="interaction-version" title="Made against an earlier wording">on v' + interaction.meme_version + '</span>'
+                    : '') +
+                ownControls +
+                flagControls +
+                (isOwn ? '<div id="edit-interaction-' + interaction.id + '" class="interaction-edit-form"></div>' : '') +
+                (canFlag ? '<div id="flag-interaction-' + interaction.id + '" class="flag-form"></div>' : '') +
                             '</div>';
                     });
-                    if (meme.interactions.length > 3) {
-                        interactionsHtml += '<div class="interaction-item" style="font-style: italic;">... and ' + (meme.interactions.length - 3) + ' more</div>';
+                    if (interactionCount > meme.interactions.length) {
+                        interactionsHtml += '<div class="interaction-item" style="font-style: italic;">... and ' + (interactionCount - meme.interactions.length) + ' more</div>';
                     }
                     interactionsHtml += '</div>';
                 }
@@ -1875,38 +7176,64 @@ function getHTML() {
                 const disabledTitle = canInteract ? '' : 'title="Login required"';
                 
         const htmlContent = '<div class="meme-rank">' + rankPosition + '</div>' +
-          '<div class="meme-content">' + meme.content + '</div>' +
+          '<div class="meme-content">' + renderMarkdown(meme.content) + '</div>' +
+          renderTagChips(meme.tags) +
           '<div class="meme-meta">' +
-            'By ' + authorDisplay + ' • ' + formatTimeAgo(meme.created_at) + ' • ' + interactionCount + ' interactions' +
+            'By ' + profileLink(authorDisplay, meme.author_username) + ' • ' + formatTimeAgo(meme.created_at) + ' • ' + interactionCount + ' interactions' +
+            (meme.parent_id ? ' • refined from <a class="permalink" href="/m/' + meme.parent_id + '">#' + meme.parent_id + '</a>' : '') +
+            ' • <a class="permalink" href="/m/' + meme.id + '">link</a>' +
+            ' • <a class="permalink" href="#" data-action="toggleLineage" data-meme-id="' + meme.id + '">lineage</a>' +
+            (meme.version > 1
+              ? ' • v' + meme.version + ' <a class="permalink" href="#" data-action="toggleHistory" data-meme-id="' + meme.id + '">show history</a>'
+              : '') +
+            (currentUser && meme.user_id === currentUser.id
+              ? ' • <a class="permalink" href="#" data-action="editMeme" data-meme-id="' + meme.id + '">edit</a>'
+              : '') +
+            (currentUser && meme.user_id !== currentUser.id
+              ? ' • <a class="permalink" href="#" data-action="toggleFlagForm" data-target-type="meme" data-target-id="' + meme.id + '">flag</a>'
+              : '') +
           '</div>' +
+          '<div id="flag-meme-' + meme.id + '" class="flag-form"></div>' +
+          '<div id="meme-edit-' + meme.id + '" class="meme-edit-form"></div>' +
+          '<div id="history-' + meme.id + '" class="history-view"></div>' +
           '<div class="meme-actions">' +
             '<div class="action-wrapper">' +
-              '<button class="action-btn refute" ' + disabledAttr + ' ' + disabledTitle + ' onclick="interactWithMeme(' + meme.id + ', ' + "'refute'" + ')">REFUTE</button>' +
+              '<button class="action-btn refute" ' + disabledAttr + ' ' + disabledTitle + ' data-action="interactWithMeme" data-meme-id="' + meme.id + '" data-type="refute">REFUTE</button>' +
               '<div class="action-count">' + typeCounts.refute + '</div>' +
             '</div>' +
             '<div class="action-wrapper">' +
-              '<button class="action-btn refine" ' + disabledAttr + ' ' + disabledTitle + ' onclick="interactWithMeme(' + meme.id + ', ' + "'refine'" + ')">REFINE</button>' +
+              '<button class="action-btn refine" ' + disabledAttr + ' ' + disabledTitle + ' data-action="interactWithMeme" data-meme-id="' + meme.id + '" data-type="refine">REFINE</button>' +
               '<div class="action-count">' + typeCounts.refine + '</div>' +
             '</div>' +
             '<div class="action-wrapper">' +
-              '<button id="praise-btn-' + meme.id + '" class="action-btn praise" ' + disabledAttr + ' ' + disabledTitle + ' onclick="submitPraise(' + meme.id + ')">PRAISE</button>' +
+              '<button id="praise-btn-' + meme.id + '" class="action-btn praise" ' + disabledAttr + ' ' + disabledTitle + ' data-action="submitPraise" data-meme-id="' + meme.id + '">PRAISE</button>' +
               '<div class="action-count">' + typeCounts.praise + '</div>' +
             '</div>' +
           '</div>' +
                     
                     '<div id="form-' + meme.id + '-refute" class="interaction-form">' +
                         '<textarea id="comment-' + meme.id + '-refute" placeholder="Explain why this meme is flawed or incorrect..."></textarea>' +
-                        '<button id="submit-' + meme.id + '-refute" onclick="submitInteraction(' + meme.id + ', ' + "'refute'" + ')">Submit Refutation</button>' +
+                        '<button id="submit-' + meme.id + '-refute" data-action="submitInteraction" data-meme-id="' + meme.id + '" data-type="refute">Submit Refutation</button>' +
                     '</div>' +
                     
                     '<div id="form-' + meme.id + '-refine" class="interaction-form">' +
                         '<textarea id="comment-' + meme.id + '-refine" placeholder="How can this meme be improved or made more precise..."></textarea>' +
-                        '<button id="submit-' + meme.id + '-refine" onclick="submitInteraction(' + meme.id + ', ' + "'refine'" + ')">Submit Refinement</button>' +
+                        '<textarea id="refined-' + meme.id + '" placeholder="Optional: rewrite it. Your wording becomes a descendant meme that competes on its own..."></textarea>' +
+                        '<button id="submit-' + meme.id + '-refine" data-action="submitInteraction" data-meme-id="' + meme.id + '" data-type="refine">Submit Refinement</button>' +
                     '</div>' +
                     
+                    '<div id="lineage-' + meme.id + '" class="lineage-view"></div>' +
                     interactionsHtml;
                 memeDiv.innerHTML = htmlContent;
                 container.appendChild(memeDiv);
+
+        if (openLineageViews.has(meme.id) && lineageCache.has(meme.id)) {
+          renderLineage(meme.id, lineageCache.get(meme.id));
+        }
+
+        if (openHistoryViews.has(meme.id) && historyCache.has(meme.id)) {
+          renderHistory(meme.id, historyCache.get(meme.id));
+        }
             });
         }
         